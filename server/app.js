@@ -0,0 +1,279 @@
+import { createGeminiProvider } from './providers/gemini.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { PROMPT_BUILDERS } from './prompts.js';
+import { SEARCH_COST, createQuotaBudget } from './quota.js';
+import { createRateLimiter } from './rateLimit.js';
+import { searchVideo } from './youtube.js';
+import { generateWithFailover } from '../src/recommendations/failover.js';
+import { DEFAULT_GEMINI_MODEL, GEMINI_MODELS } from '../src/recommendations/models.js';
+import { VIDEO_TYPES } from '../src/video/videoTypes.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+export const loadConfig = (env = process.env) => ({
+  providers: env.RECOMMENDATION_PROVIDERS || 'gemini,openai',
+  gemini: {
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || undefined,
+    baseUrl: env.GEMINI_BASE_URL || undefined,
+    // Models a request may ask for instead of GEMINI_MODEL
+    models: env.GEMINI_MODELS ? env.GEMINI_MODELS.split(',').map((name) => name.trim()).filter(Boolean) : GEMINI_MODELS,
+  },
+  openai: {
+    baseUrl: env.OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL,
+  },
+  youtube: {
+    apiKey: env.YOUTUBE_API_KEY,
+    baseUrl: env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3',
+  },
+  youtubeQuota: {
+    limit: Number(env.YOUTUBE_DAILY_QUOTA) || 10_000,
+    // Share of the quota background searches leave for songs played on demand
+    reserve: env.YOUTUBE_QUOTA_RESERVE ? Number(env.YOUTUBE_QUOTA_RESERVE) : 0.25,
+  },
+  rateLimit: {
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60_000,
+    recommendations: Number(env.RATE_LIMIT_RECOMMENDATIONS) || 10,
+    resolveVideo: Number(env.RATE_LIMIT_RESOLVE_VIDEO) || 60,
+  },
+  trustProxy: env.TRUST_PROXY === 'true',
+  corsOrigin: env.CORS_ORIGIN || '',
+});
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch {
+      reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Connect-style (req, res, next) handler for everything under /api.
+// Used as Vite dev middleware and by the standalone server in index.js.
+export const createApiHandler = (config = loadConfig()) => {
+  const providerFactories = {
+    gemini: () => createGeminiProvider(config.gemini),
+    openai: () => createOpenAIProvider(config.openai),
+  };
+  const providers = config.providers
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => providerFactories[name])
+    .map((name) => providerFactories[name]())
+    .filter((provider) => provider.isConfigured());
+
+  const limiters = {
+    recommendations: createRateLimiter({ max: config.rateLimit.recommendations, windowMs: config.rateLimit.windowMs }),
+    resolveVideo: createRateLimiter({ max: config.rateLimit.resolveVideo, windowMs: config.rateLimit.windowMs }),
+  };
+
+  // Shared between clients: the same song resolves to the same video for everyone
+  const videoCache = new Map();
+  const quota = createQuotaBudget(config.youtubeQuota);
+
+  const clientId = (req) => {
+    const forwarded = config.trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  };
+
+  const limited = (limiter, req, res) => {
+    const { allowed, retryAfter } = limiter(clientId(req));
+    if (allowed) return false;
+    sendJson(res, 429, { error: 'Too many requests. Please slow down.' }, { 'Retry-After': String(retryAfter) });
+    return true;
+  };
+
+  const recommendations = async (req, res) => {
+    if (limited(limiters.recommendations, req, res)) return;
+    if (providers.length === 0) {
+      sendJson(res, 503, { error: 'No recommendation provider is configured on the server.' });
+      return;
+    }
+
+    // The prompt is always written here, from checked fields, so the
+    // endpoint can't be used to send the models anything else
+    const body = await readJson(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, 400, { error: 'The request body must be a JSON object.' });
+      return;
+    }
+    const { task = 'playlist', model, stream } = body;
+    if (body.prompt !== undefined) {
+      sendJson(res, 400, { error: 'Send the request fields instead of a prompt.' });
+      return;
+    }
+    if (!Object.hasOwn(PROMPT_BUILDERS, task)) {
+      sendJson(res, 400, { error: `Unknown task "${task}".` });
+      return;
+    }
+    if (model !== undefined && !config.gemini.models.includes(model)) {
+      sendJson(res, 400, { error: `Model "${model}" is not available on this server.` });
+      return;
+    }
+    const prompt = PROMPT_BUILDERS[task](body);
+
+    if (stream) {
+      await streamRecommendations(res, { prompt, task, model });
+      return;
+    }
+
+    try {
+      const { text, provider } = await generateWithFailover({ prompt, task, model }, providers);
+      sendJson(res, 200, { text, provider: provider.label });
+    } catch (err) {
+      console.error('Recommendation upstream failed', err);
+      const status = err.status === 429 ? 429 : 502;
+      sendJson(res, status, { error: err.message || 'Upstream provider failed.' });
+    }
+  };
+
+  // Newline-delimited JSON events: chunk..., provider, then done (or error).
+  // The upstream request is aborted if the client goes away.
+  const streamRecommendations = async (res, request) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const send = (event) => {
+      if (!res.headersSent) res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+      res.write(`${JSON.stringify(event)}\n`);
+    };
+
+    try {
+      const { provider } = await generateWithFailover({
+        ...request,
+        signal: controller.signal,
+        onChunk: (text) => send({ type: 'chunk', text }),
+      }, providers);
+      send({ type: 'provider', label: provider.label });
+      send({ type: 'done' });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Recommendation upstream failed', err);
+      if (!res.headersSent) {
+        sendJson(res, err.status === 429 ? 429 : 502, { error: err.message || 'Upstream provider failed.' });
+        return;
+      }
+      send({ type: 'error', status: err.status, error: err.message || 'Upstream provider failed.' });
+    }
+    res.end();
+  };
+
+  // The settings panel's choices; `model` on a recommendation request must be one of these
+  const models = (req, res) => {
+    sendJson(res, 200, { models: config.gemini.models, defaultModel: config.gemini.model || DEFAULT_GEMINI_MODEL });
+  };
+
+  // Today's YouTube quota spend, for the footer
+  const quotaUsage = (req, res) => {
+    sendJson(res, 200, quota.usage());
+  };
+
+  // `background=true` marks a prefetch, which is refused once only the reserve is left
+  const resolveVideo = async (req, res, url) => {
+    if (limited(limiters.resolveVideo, req, res)) return;
+    const title = url.searchParams.get('title')?.trim();
+    const artist = url.searchParams.get('artist')?.trim();
+    const type = url.searchParams.get('type') || 'audio';
+    const background = url.searchParams.get('background') === 'true';
+    if (!title || !artist) {
+      sendJson(res, 400, { error: 'Both title and artist are required.' });
+      return;
+    }
+    if (!Object.hasOwn(VIDEO_TYPES, type)) {
+      sendJson(res, 400, { error: `Unknown video type "${type}".` });
+      return;
+    }
+    if (!config.youtube.apiKey) {
+      sendJson(res, 503, { error: 'YouTube is not configured on the server.', reason: 'no-key' });
+      return;
+    }
+
+    const key = `${title}|${artist}|${type}`.toLowerCase();
+    if (videoCache.has(key)) {
+      sendJson(res, 200, { videoId: videoCache.get(key), cached: true });
+      return;
+    }
+    if (!quota.canSpend(SEARCH_COST, { background })) {
+      sendJson(res, 429, { error: 'YouTube quota exceeded.', reason: 'quota' });
+      return;
+    }
+
+    try {
+      const result = await searchVideo({ ...config.youtube, title, artist, type });
+      if (result.videoId || result.reason === 'not-found') quota.spend(SEARCH_COST);
+      if (result.reason === 'quota') quota.exhaust();
+      if (result.videoId) {
+        videoCache.set(key, result.videoId);
+        sendJson(res, 200, { videoId: result.videoId });
+      } else if (result.reason === 'quota') {
+        sendJson(res, 429, { error: 'YouTube quota exceeded.', reason: 'quota' });
+      } else if (result.reason === 'not-found') {
+        sendJson(res, 404, { error: 'No video found.', reason: 'not-found' });
+      } else {
+        sendJson(res, 502, { error: result.detail || 'YouTube search failed.', reason: 'error' });
+      }
+    } catch (err) {
+      console.error('YouTube upstream failed', err);
+      sendJson(res, 502, { error: 'YouTube search failed.', reason: 'error' });
+    }
+  };
+
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) {
+      if (next) next();
+      else sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (config.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    try {
+      if (url.pathname === '/api/recommendations' && req.method === 'POST') {
+        await recommendations(req, res);
+      } else if (url.pathname === '/api/models' && req.method === 'GET') {
+        models(req, res);
+      } else if (url.pathname === '/api/quota' && req.method === 'GET') {
+        quotaUsage(req, res);
+      } else if (url.pathname === '/api/resolve-video' && req.method === 'GET') {
+        await resolveVideo(req, res, url);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message || 'Internal error' });
+    }
+  };
+};
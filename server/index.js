@@ -0,0 +1,36 @@
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createApiHandler, loadConfig } from './app.js';
+import { createPartyServer } from './party.js';
+
+// Standalone API server: `npm run server`. During `npm run dev` the same
+// handler runs inside Vite instead (see vite.config.js).
+// `partyOptions` go to createPartyServer (room, member and message limits).
+export const startServer = ({ port = Number(process.env.PORT) || 8787, config = loadConfig(), partyOptions } = {}) => {
+  const server = createServer(createApiHandler(config));
+  const party = createPartyServer(partyOptions);
+  server.on('upgrade', (req, socket, head) => {
+    if (!party.handleUpgrade(req, socket, head)) socket.destroy();
+  });
+  // Party sockets are never idle, so close() would wait on them forever
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    party.close();
+    return closeServer(callback);
+  };
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+};
+
+// Run directly (not imported); pathToFileURL escapes spaces and handles Windows paths
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.loadEnvFile();
+  } catch {
+    // no .env file, rely on the real environment
+  }
+  startServer().then((server) => {
+    console.log(`SariGama API listening on http://localhost:${server.address().port}`);
+  });
+}
@@ -0,0 +1,200 @@
+import { randomInt, randomUUID } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { normalizeSong, songKey } from '../src/recommendations/parse.js';
+import { createRateLimiter } from './rateLimit.js';
+
+export const PARTY_PATH = '/api/party';
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_SONGS = 100;
+const MAX_SUGGESTIONS = 20;
+const MAX_NAME = 40;
+const MAX_MOOD = 80;
+// What guests may ask the host's player to do, and which values each accepts
+const CONTROLS = {
+  play: () => true,
+  pause: () => true,
+  next: (value, room) => room.songs.length > 0,
+  previous: (value, room) => room.songs.length > 0,
+  seek: (value) => Number.isFinite(value) && value >= 0,
+  jump: (value, room) => Number.isInteger(value) && value >= 0 && value < room.songs.length,
+};
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+// Listening-party rooms over WebSocket, on /api/party of the API server.
+// The host's player is the source of truth: the host publishes the playlist
+// and its playback, the server stamps and relays them, and guests follow.
+// Guests vote, suggest moods and send control requests that only the host acts on.
+// Each socket may send `maxMessages` messages per 10 seconds; the rest are refused.
+export const createPartyServer = ({ maxRooms = 200, maxMembers = 30, maxMessages = 100 } = {}) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 256 * 1024 });
+  const rooms = new Map();
+  const messageLimiter = createRateLimiter({ max: maxMessages, windowMs: 10_000 });
+
+  const newCode = () => {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const snapshot = (room) => ({
+    code: room.code,
+    members: [...room.members.values()].map(({ id, name, role }) => ({ id, name, role })),
+    songs: room.songs,
+    playback: room.playback,
+    votes: room.votes,
+    suggestions: room.suggestions,
+    now: Date.now(),
+  });
+
+  const broadcast = (room) => {
+    const party = snapshot(room);
+    room.members.forEach((member) => send(member.socket, { type: 'state', party }));
+  };
+
+  const leave = (member) => {
+    const room = member.room;
+    if (!room) return;
+    member.room = null;
+    room.members.delete(member.id);
+    if (member.role === 'host') {
+      rooms.delete(room.code);
+      room.members.forEach((guest) => {
+        guest.room = null;
+        send(guest.socket, { type: 'closed', reason: 'The host ended the party.' });
+      });
+      return;
+    }
+    broadcast(room);
+  };
+
+  const handlers = {
+    create: (member, message) => {
+      if (rooms.size >= maxRooms) throw new Error('Too many parties right now. Try again later.');
+      const room = {
+        code: newCode(),
+        members: new Map(),
+        songs: [],
+        playback: { index: -1, paused: true, position: 0, at: Date.now() },
+        votes: {},
+        suggestions: [],
+      };
+      rooms.set(room.code, room);
+      Object.assign(member, { room, role: 'host', name: text(message.name, MAX_NAME) || 'Host' });
+      room.members.set(member.id, member);
+      send(member.socket, { type: 'welcome', clientId: member.id, role: 'host' });
+      broadcast(room);
+    },
+
+    join: (member, message) => {
+      const room = rooms.get(text(message.code, CODE_LENGTH * 2).toUpperCase());
+      if (!room) throw new Error('No party with that code.');
+      if (room.members.size >= maxMembers) throw new Error('This party is full.');
+      Object.assign(member, { room, role: 'guest', name: text(message.name, MAX_NAME) || `Guest ${room.members.size}` });
+      room.members.set(member.id, member);
+      send(member.socket, { type: 'welcome', clientId: member.id, role: 'guest' });
+      broadcast(room);
+    },
+
+    playlist: (member, message, room) => {
+      if (member.role !== 'host') throw new Error('Only the host can change the playlist.');
+      const songs = Array.isArray(message.songs) ? message.songs.slice(0, MAX_SONGS).map(normalizeSong).filter(Boolean) : [];
+      room.songs = songs;
+      broadcast(room);
+    },
+
+    playback: (member, message, room) => {
+      if (member.role !== 'host') throw new Error('Only the host can publish playback.');
+      const index = Number.isInteger(message.index) && message.index < room.songs.length ? message.index : -1;
+      const position = Number.isFinite(message.position) && message.position > 0 ? message.position : 0;
+      room.playback = { index, paused: Boolean(message.paused), position, at: Date.now() };
+      broadcast(room);
+    },
+
+    control: (member, message, room) => {
+      if (!Object.hasOwn(CONTROLS, message.action)) throw new Error(`Unknown control "${message.action}".`);
+      if (!CONTROLS[message.action](message.value, room)) throw new Error(`Invalid value for "${message.action}".`);
+      const host = [...room.members.values()].find((m) => m.role === 'host');
+      send(host.socket, { type: 'control', action: message.action, value: message.value, from: member.name });
+    },
+
+    vote: (member, message, room) => {
+      const key = text(message.key, 300);
+      if (!room.songs.some((song) => songKey(song) === key)) throw new Error('That song is not in the playlist.');
+      const ballots = { ...room.votes[key] };
+      if (message.value === 1 || message.value === -1) ballots[member.id] = message.value;
+      else delete ballots[member.id];
+      room.votes = { ...room.votes, [key]: ballots };
+      broadcast(room);
+    },
+
+    suggest: (member, message, room) => {
+      const mood = text(message.mood, MAX_MOOD);
+      if (!mood) throw new Error('A mood is required.');
+      room.suggestions = [...room.suggestions, { id: randomUUID(), mood, from: member.name }].slice(-MAX_SUGGESTIONS);
+      broadcast(room);
+    },
+
+    dismiss: (member, message, room) => {
+      if (member.role !== 'host') throw new Error('Only the host can dismiss suggestions.');
+      room.suggestions = room.suggestions.filter((suggestion) => suggestion.id !== message.id);
+      broadcast(room);
+    },
+
+    leave: (member) => leave(member),
+  };
+
+  wss.on('connection', (socket) => {
+    const member = { id: randomUUID(), socket, room: null, role: null, name: '' };
+
+    socket.on('message', (data) => {
+      if (!messageLimiter(member.id).allowed) {
+        send(socket, { type: 'error', error: 'Too many messages. Slow down.' });
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch {
+        send(socket, { type: 'error', error: 'Invalid message.' });
+        return;
+      }
+      const handler = Object.hasOwn(handlers, message?.type) ? handlers[message.type] : null;
+      const needsRoom = !['create', 'join'].includes(message?.type);
+      try {
+        if (!handler) throw new Error(`Unknown message "${message?.type}".`);
+        if (needsRoom && !member.room) throw new Error('Join a party first.');
+        if (!needsRoom && member.room) throw new Error('Already in a party.');
+        handler(member, message, member.room);
+      } catch (err) {
+        send(socket, { type: 'error', error: err.message });
+      }
+    });
+
+    socket.on('close', () => leave(member));
+  });
+
+  return {
+    rooms,
+    // Takes over WebSocket upgrades on PARTY_PATH; returns false for anything else
+    handleUpgrade: (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== PARTY_PATH) return false;
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+      return true;
+    },
+    close: () => {
+      wss.clients.forEach((client) => client.terminate());
+      wss.close();
+      rooms.clear();
+    },
+  };
+};
@@ -0,0 +1,193 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { WebSocket } from 'ws';
+import { loadConfig } from './app.js';
+import { startServer } from './index.js';
+
+let server;
+let url;
+const clients = [];
+
+// A party client whose `receive` resolves with the next message of a type
+// (optionally matching `test`), skipping over older ones of that type.
+// Skipped messages that another pending `receive` still matches are kept.
+const connect = () => new Promise((resolve, reject) => {
+  const socket = new WebSocket(url);
+  let inbox = [];
+  let waiting = [];
+  const matches = (waiter, message) => message.type === waiter.type && waiter.test(message);
+  const deliver = () => {
+    for (const waiter of [...waiting]) {
+      const at = inbox.findIndex((message) => matches(waiter, message));
+      if (at === -1) continue;
+      const message = inbox[at];
+      waiting = waiting.filter((other) => other !== waiter);
+      const skipped = (other, i) => i < at && other.type === waiter.type && !waiting.some((pending) => matches(pending, other));
+      inbox = inbox.filter((other, i) => i !== at && !skipped(other, i));
+      waiter.resolve(message);
+    }
+  };
+  const client = {
+    socket,
+    send: (message) => socket.send(JSON.stringify(message)),
+    receive: (type, test = () => true) => new Promise((done) => {
+      waiting.push({ type, test, resolve: done });
+      deliver();
+    }),
+  };
+  socket.on('message', (data) => {
+    inbox.push(JSON.parse(data.toString()));
+    deliver();
+  });
+  socket.once('open', () => resolve(client));
+  socket.once('error', reject);
+  clients.push(client);
+});
+
+const song = (n) => ({ title: `Song ${n}`, artist: `Artist ${n}`, reason: '', history: '', lyricsSnippet: '' });
+
+// Host plus one guest, both past the welcome
+const startParty = async () => {
+  const host = await connect();
+  host.send({ type: 'create', name: 'Asha' });
+  await host.receive('welcome');
+  const { party } = await host.receive('state');
+
+  const guest = await connect();
+  guest.send({ type: 'join', code: party.code.toLowerCase(), name: 'Ben' });
+  const welcome = await guest.receive('welcome');
+  await host.receive('state', (message) => message.party.members.length === 2);
+  return { host, guest, code: party.code, guestId: welcome.clientId };
+};
+
+describe('party server', () => {
+  beforeEach(async () => {
+    server = await startServer({ port: 0, config: loadConfig({}) });
+    url = `ws://localhost:${server.address().port}/api/party`;
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach((client) => client.socket.terminate());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('creates a room and lets guests join it by code', async () => {
+    const { guest, code } = await startParty();
+
+    const { party } = await guest.receive('state');
+    expect(code).toMatch(/^[A-Z2-9]{5}$/);
+    expect(party.members.map(({ name, role }) => [name, role])).toEqual([['Asha', 'host'], ['Ben', 'guest']]);
+
+    const stranger = await connect();
+    stranger.send({ type: 'join', code: 'ZZZZZ' });
+    expect(await stranger.receive('error')).toEqual({ type: 'error', error: 'No party with that code.' });
+  });
+
+  it('relays the host’s playlist and playback, and nobody else’s', async () => {
+    const { host, guest } = await startParty();
+
+    host.send({ type: 'playlist', songs: [{ ...song(1), secret: 'x' }, { title: 'No artist' }, song(2)] });
+    const { party } = await guest.receive('state', (message) => message.party.songs.length > 0);
+    expect(party.songs).toEqual([song(1), song(2)]);
+
+    host.send({ type: 'playback', index: 1, paused: false, position: 42 });
+    const { party: playing } = await guest.receive('state', (message) => message.party.playback.index === 1);
+    expect(playing.playback).toMatchObject({ index: 1, paused: false, position: 42 });
+    expect(playing.playback.at).toBeLessThanOrEqual(playing.now);
+
+    guest.send({ type: 'playlist', songs: [song(3)] });
+    expect((await guest.receive('error')).error).toBe('Only the host can change the playlist.');
+    guest.send({ type: 'playback', index: 0, paused: true, position: 0 });
+    expect((await guest.receive('error')).error).toBe('Only the host can publish playback.');
+  });
+
+  it('forwards guest controls to the host only', async () => {
+    const { host, guest } = await startParty();
+    host.send({ type: 'playlist', songs: [song(1), song(2), song(3)] });
+    await guest.receive('state', (message) => message.party.songs.length === 3);
+
+    guest.send({ type: 'control', action: 'jump', value: 2 });
+    expect(await host.receive('control')).toEqual({ type: 'control', action: 'jump', value: 2, from: 'Ben' });
+
+    guest.send({ type: 'control', action: 'eject' });
+    expect((await guest.receive('error')).error).toBe('Unknown control "eject".');
+  });
+
+  it('refuses control values the host’s player can’t use', async () => {
+    const { host, guest } = await startParty();
+    for (const action of ['next', 'previous']) {
+      guest.send({ type: 'control', action });
+      expect((await guest.receive('error')).error).toBe(`Invalid value for "${action}".`);
+    }
+
+    host.send({ type: 'playlist', songs: [song(1), song(2)] });
+    await guest.receive('state', (message) => message.party.songs.length === 2);
+
+    for (const [action, value] of [['seek', -5], ['seek', 'soon'], ['seek', null], ['jump', 2], ['jump', 0.5], ['jump', -1]]) {
+      guest.send({ type: 'control', action, value });
+      expect((await guest.receive('error')).error).toBe(`Invalid value for "${action}".`);
+    }
+
+    guest.send({ type: 'control', action: 'seek', value: 12.5 });
+    expect(await host.receive('control')).toMatchObject({ action: 'seek', value: 12.5 });
+    guest.send({ type: 'control', action: 'jump', value: 1 });
+    expect(await host.receive('control')).toMatchObject({ action: 'jump', value: 1 });
+  });
+
+  it('refuses messages past a socket’s budget', async () => {
+    await new Promise((resolve) => server.close(resolve));
+    server = await startServer({ port: 0, config: loadConfig({}), partyOptions: { maxMessages: 3 } });
+    url = `ws://localhost:${server.address().port}/api/party`;
+
+    const host = await connect();
+    host.send({ type: 'create', name: 'Asha' });
+    const { party } = await host.receive('state');
+    host.send({ type: 'suggest', mood: 'Calm' });
+    await host.receive('state', (message) => message.party.suggestions.length === 1);
+    host.send({ type: 'suggest', mood: 'Loud' });
+    await host.receive('state', (message) => message.party.suggestions.length === 2);
+
+    host.send({ type: 'suggest', mood: 'Sleepy' });
+    expect((await host.receive('error')).error).toBe('Too many messages. Slow down.');
+
+    // Other sockets have budgets of their own
+    const guest = await connect();
+    guest.send({ type: 'join', code: party.code, name: 'Ben' });
+    expect(await guest.receive('welcome')).toMatchObject({ role: 'guest' });
+  });
+
+  it('tallies votes per member and collects mood suggestions', async () => {
+    const { host, guest, guestId } = await startParty();
+    host.send({ type: 'playlist', songs: [song(1)] });
+    await guest.receive('state', (message) => message.party.songs.length === 1);
+
+    guest.send({ type: 'vote', key: 'song 1|artist 1', value: 1 });
+    let { party } = await host.receive('state', (message) => message.party.votes['song 1|artist 1']);
+    expect(party.votes['song 1|artist 1']).toEqual({ [guestId]: 1 });
+
+    guest.send({ type: 'vote', key: 'song 1|artist 1', value: 0 });
+    ({ party } = await host.receive('state', (message) => !message.party.votes['song 1|artist 1'][guestId]));
+    expect(party.votes['song 1|artist 1']).toEqual({});
+
+    guest.send({ type: 'vote', key: 'song 9|artist 9', value: 1 });
+    expect((await guest.receive('error')).error).toBe('That song is not in the playlist.');
+
+    guest.send({ type: 'suggest', mood: '  Rainy evening  ' });
+    ({ party } = await host.receive('state', (message) => message.party.suggestions.length === 1));
+    expect(party.suggestions[0]).toMatchObject({ mood: 'Rainy evening', from: 'Ben' });
+
+    host.send({ type: 'dismiss', id: party.suggestions[0].id });
+    await guest.receive('state', (message) => message.party.suggestions.length === 0);
+  });
+
+  it('closes the room for everyone when the host leaves', async () => {
+    const { host, guest, code } = await startParty();
+
+    host.socket.close();
+    expect(await guest.receive('closed')).toMatchObject({ reason: 'The host ended the party.' });
+
+    const late = await connect();
+    late.send({ type: 'join', code });
+    expect((await late.receive('error')).error).toBe('No party with that code.');
+  });
+});
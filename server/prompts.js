@@ -0,0 +1,108 @@
+import { MAX_ARC_SONGS, MIN_ARC_SONGS, arcLabel } from '../src/arc/arc.js';
+import { TIMES_OF_DAY, buildContext } from '../src/context/context.js';
+import { buildAnnotationPrompt } from '../src/lyrics/prompt.js';
+import { buildPrompt } from '../src/recommendations/prompt.js';
+import { DECADES, SONG_COUNT } from '../src/settings/settings.js';
+
+const MAX_MOOD = 80;
+const MAX_LANGUAGE = 100;
+// Song titles and artist names
+const MAX_NAME = 200;
+// Songs per list (already chosen, recently heard, liked, disliked)
+const MAX_SONGS = 30;
+const MAX_LINES = 200;
+const MAX_LINE = 300;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)));
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const required = (value, name, max) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (!trimmed) throw invalid(`A ${name} is required.`);
+  if (trimmed.length > max) throw invalid(`The ${name} is too long (at most ${max} characters).`);
+  return trimmed;
+};
+
+// Title and artist are all a prompt quotes; entries missing either are dropped
+const songs = (value, max = MAX_SONGS) => (Array.isArray(value) ? value : [])
+  .slice(0, max)
+  .map((song) => ({ title: text(song?.title, MAX_NAME), artist: text(song?.artist, MAX_NAME) }))
+  .filter((song) => song.title && song.artist);
+
+const arcRequest = (arc) => {
+  if (!isObject(arc)) return undefined;
+  const length = clamp(Number.isFinite(arc.length) ? arc.length : MIN_ARC_SONGS, MIN_ARC_SONGS, MAX_ARC_SONGS);
+  const positions = [...new Set(Array.isArray(arc.positions) ? arc.positions : [])]
+    .filter((position) => Number.isInteger(position) && position >= 1 && position <= length);
+  return {
+    from: required(arc.from, 'start mood', MAX_MOOD),
+    to: required(arc.to, 'end mood', MAX_MOOD),
+    length,
+    positions: positions.length > 0 ? positions : Array.from({ length }, (_, i) => i + 1),
+  };
+};
+
+const listeningContext = (context) => (!isObject(context) ? null : buildContext({
+  timeOfDay: TIMES_OF_DAY.some((slot) => slot.id === context.timeOfDay) ? context.timeOfDay : undefined,
+  activity: context.activity,
+  weather: context.weather,
+  temperature: context.temperature,
+}));
+
+const tasteProfile = (taste) => (!isObject(taste) ? undefined : {
+  recent: songs(taste.recent),
+  likedSongs: songs(taste.likedSongs),
+  likedArtists: (Array.isArray(taste.likedArtists) ? taste.likedArtists : [])
+    .slice(0, MAX_SONGS).map((artist) => text(artist, MAX_NAME)).filter(Boolean),
+  dislikedSongs: songs(taste.dislikedSongs),
+});
+
+const promptPreferences = (preferences) => {
+  const { popularity, era, avoidExplicit } = isObject(preferences) ? preferences : {};
+  const lastYear = DECADES[DECADES.length - 1] + 9;
+  const validEra = isObject(era) && Number.isInteger(era.from) && Number.isInteger(era.to)
+    && era.from >= DECADES[0] && era.to <= lastYear && era.from <= era.to;
+  return {
+    popularity: Number.isFinite(popularity) ? clamp(popularity, 0, 100) : undefined,
+    era: validEra ? { from: era.from, to: era.to } : null,
+    avoidExplicit: avoidExplicit === true,
+  };
+};
+
+// `count` is clamped to what the settings (or a mood arc) allow; re-prompts
+// for the songs still missing may ask for fewer than the settings' minimum.
+// A mood arc's mood is its "from → to" label, made here from the checked ends.
+const playlistPrompt = (body) => {
+  const arc = arcRequest(body.arc);
+  const max = arc ? MAX_ARC_SONGS : SONG_COUNT.max;
+  return buildPrompt({
+    mood: arc ? arcLabel(arc) : required(body.mood, 'mood', MAX_MOOD),
+    language: required(body.language, 'language', MAX_LANGUAGE),
+    count: Number.isFinite(body.count) ? clamp(body.count, 1, max) : (arc?.positions.length ?? SONG_COUNT.min),
+    exclude: songs(body.exclude, MAX_ARC_SONGS),
+    taste: tasteProfile(body.taste),
+    seed: songs([body.seed], 1)[0],
+    arc,
+    context: listeningContext(body.context),
+    preferences: promptPreferences(body.preferences),
+  });
+};
+
+const lyricsPrompt = (body) => {
+  const [song] = songs([body.song], 1);
+  if (!song) throw invalid('A song with a title and artist is required.');
+  const texts = (Array.isArray(body.lines) ? body.lines : [])
+    .slice(0, MAX_LINES)
+    .map((line) => text(line, MAX_LINE))
+    .filter(Boolean);
+  if (texts.length === 0) throw invalid('At least one lyrics line is required.');
+  return buildAnnotationPrompt({ song: { ...song, language: text(body.song.language, MAX_LANGUAGE) }, texts });
+};
+
+// What a request asks for: a playlist, or lyrics line annotations
+// (transliteration + translation). Each builder checks the request's fields
+// and writes the prompt from them; a bad field throws with status 400.
+export const PROMPT_BUILDERS = { playlist: playlistPrompt, lyrics: lyricsPrompt };
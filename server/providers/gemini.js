@@ -0,0 +1,64 @@
+import { GoogleGenerativeAI, SchemaType } from '@google/generative-ai';
+import { SONG_FIELDS } from '../../src/recommendations/parse.js';
+import { DEFAULT_GEMINI_MODEL } from '../../src/recommendations/models.js';
+
+const playlistSchema = {
+  type: SchemaType.ARRAY,
+  items: {
+    type: SchemaType.OBJECT,
+    properties: {
+      ...Object.fromEntries([...SONG_FIELDS, 'language', 'arcMood'].map((field) => [field, { type: SchemaType.STRING }])),
+      arcPosition: { type: SchemaType.INTEGER },
+    },
+    required: SONG_FIELDS,
+  },
+};
+
+const lyricsSchema = {
+  type: SchemaType.ARRAY,
+  items: {
+    type: SchemaType.OBJECT,
+    properties: {
+      line: { type: SchemaType.INTEGER },
+      transliteration: { type: SchemaType.STRING },
+      translation: { type: SchemaType.STRING },
+    },
+    required: ['line', 'transliteration', 'translation'],
+  },
+};
+
+const schemas = { playlist: playlistSchema, lyrics: lyricsSchema };
+
+// Gemini 1.0 models predate JSON-schema output.
+const supportsStructuredOutput = (model) => !/^gemini-(1\.0|pro$)/.test(model);
+
+// Google Gemini through the official SDK. A request may name another
+// `model` (the settings panel's choice); the API server checks it first.
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, baseUrl }) => ({
+  name: 'gemini',
+  label: 'Google Gemini',
+  isConfigured: () => Boolean(apiKey),
+  generate: async ({ prompt, task = 'playlist', model: requested, onChunk, signal }) => {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const chosen = requested || model;
+    const generativeModel = genAI.getGenerativeModel({
+      model: chosen,
+      ...(supportsStructuredOutput(chosen) && {
+        generationConfig: { responseMimeType: 'application/json', responseSchema: schemas[task] },
+      }),
+    }, baseUrl ? { baseUrl } : undefined);
+    if (!onChunk) {
+      const result = await generativeModel.generateContent(prompt, { signal });
+      return result.response.text();
+    }
+
+    const result = await generativeModel.generateContentStream(prompt, { signal });
+    let text = '';
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      text += piece;
+      onChunk(piece);
+    }
+    return text;
+  },
+});
@@ -0,0 +1,54 @@
+// Any endpoint that speaks the OpenAI chat completions API
+// (OpenAI itself, OpenRouter, Ollama, LM Studio, llama.cpp server, ...).
+// Always uses OPENAI_MODEL: a request's `model` is a Gemini choice and is ignored here.
+export const createOpenAIProvider = ({ baseUrl, apiKey, model }) => ({
+  name: 'openai',
+  label: model ? `${model} (OpenAI-compatible)` : 'OpenAI-compatible',
+  isConfigured: () => Boolean(baseUrl && model),
+  generate: async ({ prompt, onChunk, signal }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: Boolean(onChunk),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = new Error(`OpenAI-compatible endpoint returned ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (!onChunk) {
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? '';
+    }
+
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+        const piece = JSON.parse(payload).choices?.[0]?.delta?.content ?? '';
+        if (piece) {
+          text += piece;
+          onChunk(piece);
+        }
+      }
+    }
+    return text;
+  },
+});
@@ -0,0 +1,45 @@
+// Cost of one YouTube Data API search, in quota units
+export const SEARCH_COST = 100;
+
+const pacificDay = (time) => new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+
+// The YouTube Data API's daily quota as this server has spent it. The API
+// doesn't report usage, so searches are counted here; in memory, so per server
+// process. Resets at midnight Pacific time, as Google's count does.
+// Background searches (prefetching) stop while less than `reserve` (a share
+// of `limit`) is left, keeping the rest for songs someone pressed play on.
+export const createQuotaBudget = ({ limit, reserve = 0, now = Date.now }) => {
+  let day = null;
+  let used = 0;
+  let exhausted = false;
+
+  const rollOver = () => {
+    const today = pacificDay(now());
+    if (today === day) return;
+    day = today;
+    used = 0;
+    exhausted = false;
+  };
+
+  return {
+    usage: () => {
+      rollOver();
+      return { used, limit, exhausted };
+    },
+    canSpend: (units, { background = false } = {}) => {
+      rollOver();
+      if (exhausted) return false;
+      return used + units <= limit - (background ? limit * reserve : 0);
+    },
+    spend: (units) => {
+      rollOver();
+      used += units;
+    },
+    // The API said the quota is gone, whatever the count says
+    exhaust: () => {
+      rollOver();
+      used = Math.max(used, limit);
+      exhausted = true;
+    },
+  };
+};
@@ -0,0 +1,24 @@
+// Fixed-window request counter per client. In memory, so limits are per server process.
+export const createRateLimiter = ({ max, windowMs = 60_000, now = Date.now }) => {
+  const windows = new Map();
+
+  return (clientId) => {
+    const time = now();
+    let window = windows.get(clientId);
+    if (!window || time >= window.resetAt) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(clientId, window);
+    }
+    window.count++;
+
+    // Drop expired windows now and then so the map doesn't grow forever
+    if (windows.size > 10_000) {
+      for (const [id, w] of windows) if (time >= w.resetAt) windows.delete(id);
+    }
+
+    return {
+      allowed: window.count <= max,
+      retryAfter: Math.ceil((window.resetAt - time) / 1000),
+    };
+  };
+};
@@ -0,0 +1,18 @@
+import { videoQuery } from '../src/video/videoTypes.js';
+
+// YouTube Data API search for the first video matching a song. `type` picks
+// official audio, a lyric video or a live performance (see VIDEO_TYPES).
+export const searchVideo = async ({ baseUrl, apiKey, title, artist, type }) => {
+  const query = videoQuery(title, artist, type);
+  const response = await fetch(`${baseUrl}/search?part=snippet&maxResults=1&q=${encodeURIComponent(query)}&type=video&key=${apiKey}`);
+  const data = await response.json();
+
+  if (data.error) {
+    const quota = data.error.code === 403 && (data.error.errors || []).some((e) => /quota|limit/i.test(e.reason || ''));
+    return { videoId: null, reason: quota ? 'quota' : 'error', detail: data.error.message };
+  }
+  if (data.items && data.items.length > 0) {
+    return { videoId: data.items[0].id.videoId };
+  }
+  return { videoId: null, reason: 'not-found' };
+};
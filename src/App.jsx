@@ -1,179 +1,72 @@
-import { useState } from 'react';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { Music, Sparkles, Loader2, AlertCircle, Play, X } from 'lucide-react';
-import { motion, AnimatePresence } from 'framer-motion';
+import { useEffect, useState } from 'react';
+import { Music } from 'lucide-react';
+import StoreProvider from './store/StoreProvider';
+import { useDispatch, useSelector } from './store/hooks';
+import { createAppStore } from './store/appStore';
+import RecommendationForm from './recommendations/RecommendationForm';
+import { loadModels, runQueuedRequest, selectProviderLabel, setError } from './recommendations/slice';
+import SongList from './songList/SongList';
+import { openList, openStartupList } from './songList/slice';
+import PlayerProvider from './player/PlayerProvider';
+import Player from './player/Player';
+import { refreshQuota, selectPlaying, selectQuota } from './player/slice';
+import { selectAudioOnly } from './settings/slice';
+import SettingsPanel from './settings/SettingsPanel';
+import PlaylistLibrary from './library/PlaylistLibrary';
+import RecentLists from './library/RecentLists';
+import { loadLibrary } from './library/slice';
+import HistoryPanel from './history/HistoryPanel';
+import { loadListening } from './history/slice';
+import ImportButton from './sharing/ImportButton';
+import { clockTicked } from './context/slice';
+import PartyProvider from './party/PartyProvider';
+import PartyPanel from './party/PartyPanel';
+import { useOnlineStatus } from './pwa/useOnlineStatus';
+import LiveRegion from './a11y/LiveRegion';
+import { createServices } from './services';
 import './App.css';
-import './PlayButton.css';
 
-function App() {
-  const [mood, setMood] = useState('Nostalgic');
-  const [language, setLanguage] = useState('Malayalam');
+const defaultServices = createServices();
 
-  const [songs, setSongs] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [currentSongIndex, setCurrentSongIndex] = useState(-1);
-  const [isAutoPlaying, setIsAutoPlaying] = useState(false);
-  const [audioOnly, setAudioOnly] = useState(false);
+const Footer = () => {
+  const providerLabel = useSelector(selectProviderLabel);
+  const quota = useSelector(selectQuota);
 
-  // Always read fresh from env
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-  const youtubeKey = import.meta.env.VITE_YOUTUBE_API_KEY;
-
-  const [currentVideo, setCurrentVideo] = useState(null);
-  const [playing, setPlaying] = useState(false);
-
-
-
-  // Load YouTube IFrame API
-  useState(() => {
-    if (!window.YT) {
-      const tag = document.createElement('script');
-      tag.src = "https://www.youtube.com/iframe_api";
-      const firstScriptTag = document.getElementsByTagName('script')[0];
-      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
-    }
-  }, []);
-
-  const playSong = async (song, index = -1) => {
-    // If no API key configured, fallback immediately
-    if (!youtubeKey || youtubeKey.includes('your_youtube_api_key')) {
-      window.open(`https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`, '_blank');
-      return;
-    }
-
-    setPlaying(true);
-    if (index !== -1) setCurrentSongIndex(index);
-
-    try {
-      const query = `${song.title} ${song.artist} official audio`;
-      const response = await fetch(`https://www.googleapis.com/youtube/v3/search?part=snippet&maxResults=1&q=${encodeURIComponent(query)}&type=video&key=${youtubeKey}`);
-      const data = await response.json();
-
-      if (data.error) {
-        console.warn("YouTube API Error (likely quota). Falling back to external link.", data.error);
-        setPlaying(false);
-        // Fallback: Open in new tab
-        window.open(`https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`, '_blank');
-        return;
-      }
-
-      if (data.items && data.items.length > 0) {
-        setCurrentVideo(data.items[0].id.videoId);
-      } else {
-        // Fallback if empty results
-        console.warn("No video found, opening fallback.");
-        setPlaying(false);
-        window.open(`https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`, '_blank');
-      }
-    } catch (err) {
-      // Fallback on network/other error
-      console.error("YouTube Search Error:", err);
-      setPlaying(false);
-      window.open(`https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`, '_blank');
-    }
-  };
-
-
-
-  const closePlayer = () => {
-    setPlaying(false);
-    setCurrentVideo(null);
-    setIsAutoPlaying(false);
-    setCurrentSongIndex(-1);
-  };
-
-  const handlePlayerStateChange = (event) => {
-    // 0 = ENDED
-    if (event.data === 0 && isAutoPlaying && songs && currentSongIndex !== -1 && currentSongIndex < songs.length - 1) {
-      const nextIndex = currentSongIndex + 1;
-      playSong(songs[nextIndex], nextIndex);
-    }
-  };
-
-  const startAutoPlay = () => {
-    if (songs && songs.length > 0) {
-      setIsAutoPlaying(true);
-      playSong(songs[0], 0);
-    }
-  };
-
-  const onPlayerReady = (event) => {
-    event.target.playVideo();
-  };
-
-  const getRecommendations = async () => {
-    if (!mood.trim()) return;
-    if (!apiKey) {
-      setError('Please provide a Gemini API Key to get recommendations.');
-      return;
-    }
-
-    setLoading(true);
-    setError('');
-    setSongs(null);
-
-    try {
-      const genAI = new GoogleGenerativeAI(apiKey);
-      // Switching to 'lite' version to attempt to bypass quota/availability issues
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-lite" });
-
-      const prompt = `
-      You are an expert musicologist and cultural historian specializing in ${language} music.
-      Your task is to curate a highly specific and DIVERSE playlist of 10 songs for a listener who is feeling "${mood}".
-      
-      IMPORTANT: This request ID is ${Math.random()}. Ensure this playlist is unique and random compared to previous requests. Do not just pick the most famous songs; include some hidden gems or less obvious choices that fit the criteria perfectly.
-
-      ### Selection Criteria:
-      1. **Mood Matching:** Analyze the lyrics, tempo, key, and instrumentation. Ensure the emotional resonance matches "${mood}" precisely.
-      2. **Language:** All songs must be sung in ${language}.
-      3. **Randomness:** Shuffle your internal database selection to provide a varied mix every time this prompt is run.
-
-      ### Output Requirements:
-      - Return ONLY a raw JSON array.
-      - STRICTLY NO markdown formatting (no \`\`\`json blocks), no conversational text, and no whitespace padding.
-      - Ensure all strings are properly escaped to prevent JSON parsing errors.
-
-      ### JSON Structure:
-      Return an array of objects. Each object must follow this schema:
-      [
-        {
-          "title": "Song Title",
-          "artist": "Artist Name",
-          "reason": "A brief, 1-sentence explanation of why this song fits the '${mood}' mood.",
-          "history": "A 1-2 sentence interesting historical fact or cultural context about the song, written strictly in ${language}.",
-          "lyricsSnippet": "A famous 2-4 line excerpt or chorus from the song lyrics (in original language)."
-        }
-      ]
-      `;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      let text = response.text();
-
-      // Clean up markdown code blocks if present (Gemini sometimes adds ```json ... ```)
-      text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-      try {
-        const data = JSON.parse(text);
-        // Double check: Shuffle on client side to guarantee randomness
-        for (let i = data.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [data[i], data[j]] = [data[j], data[i]];
-        }
-        setSongs(data);
-      } catch (e) {
-        console.error("Failed to parse JSON", e);
-        // Fallback or retry logic could go here, for now just show error
-        setError("Received a malformed response from Gemini. Please try again.");
-      }
-    } catch (err) {
-      console.error(err);
-      setError(`Failed: ${err.message || "Check API key"}`);
-    } finally {
-      setLoading(false);
-    }
-  };
+  return (
+    <footer className="footer">
+      <p>Powered by {providerLabel}</p>
+      {quota && (
+        <p>YouTube quota today: {quota.used.toLocaleString()} / {quota.limit.toLocaleString()} units{quota.exhausted ? ' (exhausted, using cache)' : ''}</p>
+      )}
+      <p className="shortcut-hint">
+        Keys: <kbd>Space</kbd> play/pause · <kbd>N</kbd> next · <kbd>P</kbd> previous · <kbd>/</kbd> mood
+      </p>
+    </footer>
+  );
+};
+
+const Layout = () => {
+  const dispatch = useDispatch();
+  const playing = useSelector(selectPlaying);
+  const audioOnly = useSelector(selectAudioOnly);
+
+  // Get Songs pressed while offline runs once the connection is back
+  useOnlineStatus({ onOnline: () => dispatch(runQueuedRequest()) });
+
+  useEffect(() => {
+    dispatch(loadListening());
+    dispatch(loadLibrary());
+    dispatch(openStartupList());
+    dispatch(loadModels());
+    dispatch(refreshQuota());
+  }, [dispatch]);
+
+  // Time of day follows the clock for the listening context
+  useEffect(() => {
+    dispatch(clockTicked());
+    const timer = setInterval(() => dispatch(clockTicked()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [dispatch]);
 
   return (
     <div className={`app-container ${playing && !audioOnly ? 'video-active' : ''} ${audioOnly ? 'audio-active' : ''}`}>
@@ -187,282 +80,46 @@ function App() {
       </header>
 
       <main className="main-content">
-        <div className="input-section">
-          <div className="mood-select-container">
-            {['Malayalam', 'Tamil', 'Hindi', 'Telgu', 'Spanish', 'English'].map((lang) => (
-              <button
-                key={lang}
-                onClick={() => setLanguage(lang)}
-                className={`mood-chip ${language === lang ? 'selected' : ''}`}
-                style={{ borderRadius: '0.5rem', flex: 1, textAlign: 'center', justifyContent: 'center' }}
-              >
-                {lang}
-              </button>
-            ))}
-          </div>
+        <RecommendationForm />
 
+        <PlaylistLibrary>
+          <ImportButton onImport={(playlist) => dispatch(openList(playlist))} onError={(message) => dispatch(setError(message))} />
+        </PlaylistLibrary>
 
+        <RecentLists />
 
-          <div className="mood-select-container">
-            {[
-              { label: 'Cheerful', mood: 'Cheerful' },
-              { label: 'Energy', mood: 'Energetic' },
-              { label: 'Calm', mood: 'Calm' },
-              { label: 'Melancholic', mood: 'Melancholic' },
-              { label: 'Nostalgic', mood: 'Nostalgic' },
-              { label: 'Love', mood: 'Romantic and Lovely' },
-            ].map((item) => (
-              <button
-                key={item.label}
-                onClick={() => {
-                  setMood(item.mood);
-                  // Optional: auto-search when clicked
-                  // getRecommendations(); 
-                }}
-                className={`mood-chip ${mood === item.mood ? 'selected' : ''}`}
-              >
-                {item.label}
-              </button>
-            ))}
-          </div>
+        <HistoryPanel />
 
-          <div className="mood-input-wrapper">
-            <input
-              type="text"
-              id="mood-input"
-              placeholder="How are you feeling right now?"
-              value={mood}
-              onChange={(e) => setMood(e.target.value)}
-              onKeyDown={(e) => e.key === 'Enter' && getRecommendations()}
-              className="glass-input mood-input"
-            />
-            <button
-              id="generate-btn"
-              onClick={getRecommendations}
-              disabled={loading || !mood.trim()}
-              className="generate-btn"
-            >
-              {loading ? <Loader2 className="spin" /> : <Sparkles />}
-              <span>Get Songs</span>
-            </button>
-          </div>
+        <SettingsPanel />
 
-          {error && (
-            <motion.div
-              initial={{ opacity: 0, y: -10 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="error-message"
-            >
-              <AlertCircle size={18} />
-              {error}
-            </motion.div>
-          )}
-        </div>
-
-        <section className="results-section">
-          {songs && songs.length > 0 && (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              className="action-bar"
-              style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}
-            >
-              <button
-                onClick={startAutoPlay}
-                className="generate-btn"
-                style={{ background: 'var(--accent-secondary)', width: 'auto' }}
-              >
-                <Play size={16} fill="white" />
-                Play All
-              </button>
-
-              <button
-                onClick={() => setAudioOnly(!audioOnly)}
-                className={`generate-btn ${audioOnly ? 'active' : ''}`}
-                style={{
-                  background: audioOnly ? 'var(--accent-primary)' : 'rgba(30, 41, 59, 0.7)',
-                  width: 'auto',
-                  border: audioOnly ? 'none' : '1px solid rgba(148, 163, 184, 0.3)'
-                }}
-              >
-                <span>{audioOnly ? '🎵 Audio Mode' : '📺 Video Mode'}</span>
-              </button>
-            </motion.div>
-          )}
-
-          <AnimatePresence>
-            {songs && songs.map((song, index) => (
-              <motion.div
-                key={index}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.1 }}
-                className="song-card"
-              >
-                <div className="song-header">
-                  <div className="song-info">
-                    <h3>{song.title}</h3>
-                    <p className="artist">{song.artist}</p>
-                  </div>
-                  <button
-                    className="play-btn"
-                    onClick={() => {
-                      setIsAutoPlaying(false);
-                      playSong(song, index);
-                    }}
-                    title="Play Song"
-                  >
-                    <Play size={20} fill="currentColor" />
-                  </button>
-                </div>
-
-                <p className="reason">{song.reason}</p>
-                {song.history && (
-                  <p className="history-text">
-                    <span className="history-label">ചിന്താവിഷയം:</span> {song.history}
-                  </p>
-                )}
+        <PartyPanel />
 
-                {song.lyricsSnippet && (
-                  <div className="lyrics-container" style={{ marginTop: '0.5rem', borderTop: '1px dashed rgba(255,255,255,0.1)', paddingTop: '0.5rem' }}>
-                    <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', fontStyle: 'italic' }}>
-                      <span style={{ color: 'var(--accent-primary)', fontWeight: 'bold', marginRight: '5px' }}>🎵 Lyrics:</span>
-                      "{song.lyricsSnippet}"
-                    </p>
-                  </div>
-                )}
-              </motion.div>
-            ))}
-          </AnimatePresence>
-        </section>
-      </main >
+        <SongList />
+      </main>
 
-      <AnimatePresence>
-        {playing && currentVideo && (
-          <>
-            {/* Audio Only Mode Bar */}
-            {audioOnly ? (
-              <motion.div
-                initial={{ y: 100 }}
-                animate={{ y: 0 }}
-                exit={{ y: 100 }}
-                className="audio-only-bar"
-              >
-                <div className="now-playing-info">
-                  <span className="now-playing-title">
-                    {songs && currentSongIndex !== -1 ? songs[currentSongIndex].title : 'Playing...'}
-                  </span>
-                  <span className="now-playing-artist">
-                    {songs && currentSongIndex !== -1 ? songs[currentSongIndex].artist : ''}
-                  </span>
-                </div>
+      <Player />
 
-                {/* Lyrics Preview in Audio Bar */}
-                <div className="lyrics-preview-bar">
-                  {songs && currentSongIndex !== -1 && songs[currentSongIndex].lyricsSnippet ?
-                    `"${songs[currentSongIndex].lyricsSnippet}"` : '🎵 Audio Mode Active'}
-                </div>
+      <Footer />
 
-                <div className="audio-controls">
-                  <button className="close-audio-btn" onClick={closePlayer}>
-                    <X size={24} />
-                  </button>
-                </div>
-                {/* Invisible YouTube Player */}
-                <div style={{ position: 'absolute', width: 1, height: 1, overflow: 'hidden', opacity: 0, pointerEvents: 'none' }}>
-                  <div id="youtube-player-audio">
-                    <iframe
-                      id="audio-iframe-player"
-                      width="100%"
-                      height="100%"
-                      src={`https://www.youtube.com/embed/${currentVideo}?enablejsapi=1&autoplay=1&playsinline=1&origin=${window.location.origin}`}
-                      title="YouTube audio player"
-                      frameBorder="0"
-                      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
-                      allowFullScreen
-                      onLoad={(e) => {
-                        if (window.YT && window.YT.Player) {
-                          new window.YT.Player(e.target, {
-                            events: {
-                              'onReady': (event) => event.target.playVideo(),
-                              'onStateChange': handlePlayerStateChange
-                            }
-                          });
-                        }
-                      }}
-                    ></iframe>
-                  </div>
-                </div>
-              </motion.div>
-            ) : (
-              /* Regular Video Modal */
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                exit={{ opacity: 0 }}
-                className="player-overlay"
-                onClick={closePlayer}
-              >
-                <motion.div
-                  initial={{ scale: 0.9, y: 20 }}
-                  animate={{ scale: 1, y: 0 }}
-                  exit={{ scale: 0.9, y: 20 }}
-                  className="player-modal"
-                  onClick={(e) => e.stopPropagation()}
-                >
-                  <div className="modal-header" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '1rem', alignItems: 'center' }}>
-                    <h3 style={{ margin: 0, fontSize: '1.2rem', color: 'white' }}>
-                      {songs && currentSongIndex !== -1 ? songs[currentSongIndex].title : 'Now Playing'}
-                    </h3>
-                    <button className="close-btn" onClick={closePlayer} style={{ position: 'static' }}>
-                      <X size={24} />
-                    </button>
-                  </div>
-
-                  <div id="youtube-player" style={{ width: '100%', aspectRatio: '16/9', borderRadius: '12px', overflow: 'hidden' }}>
-                    <iframe
-                      id="existing-iframe-player"
-                      width="100%"
-                      height="100%"
-                      src={`https://www.youtube.com/embed/${currentVideo}?enablejsapi=1&autoplay=1&playsinline=1&origin=${window.location.origin}`}
-                      title="YouTube video player"
-                      frameBorder="0"
-                      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
-                      allowFullScreen
-                      onLoad={(e) => {
-                        if (window.YT && window.YT.Player) {
-                          new window.YT.Player(e.target, {
-                            events: {
-                              'onReady': (event) => event.target.playVideo(),
-                              'onStateChange': handlePlayerStateChange
-                            }
-                          });
-                        }
-                      }}
-                    ></iframe>
-                  </div>
-
-                  {/* Lyrics Display in Modal */}
-                  {songs && currentSongIndex !== -1 && songs[currentSongIndex].lyricsSnippet && (
-                    <div className="modal-lyrics" style={{ marginTop: '1.5rem', textAlign: 'center', padding: '1rem', background: 'rgba(255,255,255,0.05)', borderRadius: '12px' }}>
-                      <p style={{ color: 'var(--accent-secondary)', fontWeight: 'bold', marginBottom: '0.5rem', textTransform: 'uppercase', fontSize: '0.8rem' }}>Lyrics Snippet</p>
-                      <p style={{ fontStyle: 'italic', fontSize: '1.1rem', lineHeight: '1.6' }}>
-                        "{songs[currentSongIndex].lyricsSnippet}"
-                      </p>
-                    </div>
-                  )}
+      <LiveRegion />
+    </div>
+  );
+};
 
-                </motion.div>
-              </motion.div>
-            )}
-          </>
-        )}
-      </AnimatePresence>
+// Features live in their own folders (recommendations, songList, player,
+// settings, ...) and talk through the store; App creates it once and wires
+// in the services, which tests replace with fakes.
+function App({ services = defaultServices }) {
+  const [store] = useState(() => createAppStore({ services }));
 
-      <footer className="footer">
-        <p>Powered by Google Gemini</p>
-      </footer>
-    </div >
+  return (
+    <StoreProvider store={store}>
+      <PlayerProvider services={services}>
+        <PartyProvider services={services}>
+          <Layout />
+        </PartyProvider>
+      </PlayerProvider>
+    </StoreProvider>
   );
 }
 
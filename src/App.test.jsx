@@ -0,0 +1,188 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { PlayerState, createFakeProvider, createFakeServices, createFakeYouTube, makeSong, resetDatabase } from './test/fakes';
+
+const SONGS = [makeSong(1), makeSong(2), makeSong(3)];
+
+const renderApp = (overrides = {}) => {
+  const youtube = createFakeYouTube();
+  const provider = overrides.provider || createFakeProvider(SONGS);
+  const services = createFakeServices({ youtube, ...overrides, provider });
+  const user = userEvent.setup();
+  render(<App services={services} />);
+  return { user, youtube, provider, services };
+};
+
+const getSongs = async (user) => {
+  await user.click(screen.getByRole('button', { name: 'Get Songs' }));
+  await screen.findByText('Song 3');
+};
+
+const songCard = (title) => screen.getByText(title).closest('.song-card');
+const cardTitles = () => [...document.querySelectorAll('.song-card h3')].map((heading) => heading.textContent);
+
+describe('App', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('asks for the chosen mood and renders a card per song', async () => {
+    const { user, provider } = renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Calm' }));
+    expect(screen.getByPlaceholderText('How are you feeling right now?')).toHaveValue('Calm');
+    await getSongs(user);
+
+    expect(provider.calls[0]).toMatchObject({ task: 'playlist', mood: 'Calm', count: 10 });
+    expect(cardTitles().sort()).toEqual(['Song 1', 'Song 2', 'Song 3']);
+    expect(within(songCard('Song 2')).getByText('Reason 2')).toBeInTheDocument();
+    expect(screen.getByText('Powered by Fake AI')).toBeInTheDocument();
+  });
+
+  it('resolves the video and loads it into the player on Play', async () => {
+    const { user, youtube, services } = renderApp();
+    await getSongs(user);
+
+    await user.click(within(songCard('Song 2')).getByTitle('Play Song'));
+
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe('vid-Song 2'));
+    expect(services.resolveVideo).toHaveBeenCalledWith(expect.objectContaining({ title: 'Song 2' }), { videoType: 'audio' });
+    expect(document.querySelector('.player-overlay')).toHaveClass('open');
+    expect(services.openUrl).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a YouTube search when no video can be resolved', async () => {
+    const { user, youtube, services } = renderApp({
+      resolveVideo: vi.fn(async () => ({ videoId: null, reason: 'quota' })),
+    });
+    await getSongs(user);
+
+    await user.click(within(songCard('Song 1')).getByTitle('Play Song'));
+
+    await waitFor(() => expect(services.openUrl).toHaveBeenCalledWith(
+      'https://www.youtube.com/results?search_query=Song%201%20Artist%201',
+    ));
+    expect(youtube.players).toHaveLength(0);
+    expect(document.querySelector('.player-overlay')).not.toHaveClass('open');
+  });
+
+  // Song 1's search stays pending until the test releases it; prefetches of
+  // upcoming songs (background) answer at once
+  const holdSong1 = () => {
+    const held = {};
+    const resolveVideo = vi.fn((song, { background } = {}) => (song.title === 'Song 1' && !background
+      ? new Promise((resolve) => {
+        held.release = () => resolve({ videoId: 'vid-Song 1', source: 'search' });
+      })
+      : Promise.resolve({ videoId: `vid-${song.title}`, source: 'search' })));
+    return { held, resolveVideo };
+  };
+
+  it('drops a video that resolves after another track was picked', async () => {
+    const { held, resolveVideo } = holdSong1();
+    const { user, youtube } = renderApp({ resolveVideo });
+    await getSongs(user);
+    const [playSong1, playSong2] = ['Song 1', 'Song 2'].map((title) => within(songCard(title)).getByTitle('Play Song'));
+
+    await user.click(playSong1);
+    await user.click(playSong2);
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe('vid-Song 2'));
+
+    held.release();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(youtube.players[0].loaded).toEqual(['vid-Song 2']);
+  });
+
+  it('drops a video that resolves after the player was closed', async () => {
+    const { held, resolveVideo } = holdSong1();
+    const { user, youtube, services } = renderApp({ resolveVideo });
+    await getSongs(user);
+    const [playSong1, playSong2] = ['Song 1', 'Song 2'].map((title) => within(songCard(title)).getByTitle('Play Song'));
+    await user.click(playSong2);
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe('vid-Song 2'));
+
+    await user.click(playSong1);
+    await user.click(screen.getByRole('button', { name: 'Close player' }));
+    held.release();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(youtube.players[0].loaded).toEqual(['vid-Song 2']);
+    expect(document.querySelector('.player-overlay')).not.toHaveClass('open');
+    expect(services.openUrl).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a YouTube search when the player reports an error', async () => {
+    const { user, youtube, services } = renderApp();
+    await getSongs(user);
+    await user.click(within(songCard('Song 3')).getByTitle('Play Song'));
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe('vid-Song 3'));
+
+    youtube.players[0].fail(150);
+
+    await waitFor(() => expect(services.openUrl).toHaveBeenCalledWith(
+      'https://www.youtube.com/results?search_query=Song%203%20Artist%203',
+    ));
+  });
+
+  it('shows an error message when the provider keeps sending malformed JSON', async () => {
+    const provider = createFakeProvider('Sure! Here are some songs: [{"title": "Broken", "artist": ');
+    const { user } = renderApp({ provider });
+
+    await user.click(screen.getByRole('button', { name: 'Get Songs' }));
+
+    expect(await screen.findByText('Received a malformed response from Fake AI. Please try again.')).toBeInTheDocument();
+    expect(provider.calls).toHaveLength(3);
+    expect(document.querySelectorAll('.song-card')).toHaveLength(0);
+  });
+
+  it('advances to the next song when the current one ends', async () => {
+    const { user, youtube } = renderApp();
+    await getSongs(user);
+    const order = cardTitles();
+
+    await user.click(screen.getByRole('button', { name: /Play All/ }));
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe(`vid-${order[0]}`));
+
+    youtube.players[0].emit(PlayerState.ENDED);
+    await waitFor(() => expect(youtube.players[0].videoId).toBe(`vid-${order[1]}`));
+
+    youtube.players[0].emit(PlayerState.ENDED);
+    await waitFor(() => expect(youtube.players[0].videoId).toBe(`vid-${order[2]}`));
+    expect(youtube.players).toHaveLength(1);
+  });
+
+  it('saves the settings panel and applies it to the next list and video', async () => {
+    const { user, provider, services } = renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await user.selectOptions(screen.getByLabelText('Preferred video'), 'Lyric video');
+    await user.selectOptions(screen.getByLabelText('From decade'), '1990s');
+    await user.click(screen.getByLabelText('Avoid explicit lyrics'));
+    expect(JSON.parse(localStorage.getItem('sarigama.settings'))).toMatchObject({ videoType: 'lyrics', eraFrom: 1990, avoidExplicit: true });
+
+    await getSongs(user);
+    expect(provider.calls[0].preferences).toEqual({ popularity: 50, era: { from: 1990, to: 2029 }, avoidExplicit: true });
+    await user.click(within(songCard('Song 1')).getByTitle('Play Song'));
+    await waitFor(() => expect(services.resolveVideo).toHaveBeenCalledWith(expect.objectContaining({ title: 'Song 1' }), { videoType: 'lyrics' }));
+  });
+
+  it('offers the models the server takes and drops a saved one it no longer does', async () => {
+    localStorage.setItem('sarigama.settings', JSON.stringify({ model: 'gemini-1.5-pro' }));
+    const getModels = async () => ({ models: ['gemini-2.5-flash', 'gemini-2.5-pro'], defaultModel: 'gemini-2.5-flash' });
+    const { user, provider } = renderApp({ getModels });
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    const select = screen.getByLabelText('Gemini model');
+    await waitFor(() => expect(select).toHaveValue(''));
+    expect(within(select).getAllByRole('option').map((option) => option.textContent))
+      .toEqual(['Server default (gemini-2.5-flash)', 'gemini-2.5-flash', 'gemini-2.5-pro']);
+
+    await user.selectOptions(select, 'gemini-2.5-pro');
+    await getSongs(user);
+    expect(provider.calls[0].model).toBe('gemini-2.5-pro');
+  });
+});
@@ -0,0 +1,16 @@
+import { useSelector } from '../store/hooks';
+import { selectAnnouncement } from './slice';
+
+// Polite status region for screen readers: "10 songs found", "Now playing…".
+// Alternating a trailing no-break space makes a repeated message count as new.
+const LiveRegion = () => {
+  const { message, id } = useSelector(selectAnnouncement);
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {message}{id % 2 ? '\u00A0' : ''}
+    </div>
+  );
+};
+
+export default LiveRegion;
@@ -0,0 +1,109 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../App';
+import { PlayerState, createFakeProvider, createFakeServices, createFakeYouTube, makeSong, resetDatabase } from '../test/fakes';
+import { axeViolations } from '../test/axe';
+
+const SONGS = [makeSong(1), makeSong(2), makeSong(3)];
+
+const renderApp = () => {
+  const youtube = createFakeYouTube();
+  const services = createFakeServices({ youtube, provider: createFakeProvider(SONGS) });
+  const user = userEvent.setup();
+  render(<App services={services} />);
+  return { user, youtube };
+};
+
+const getSongs = async (user) => {
+  await user.click(screen.getByRole('button', { name: 'Get Songs' }));
+  await screen.findByText('Song 3');
+};
+
+const playSong = async (user, youtube, title) => {
+  await user.click(screen.getByRole('button', { name: `Play ${title}` }));
+  await waitFor(() => expect(youtube.players[0]?.videoId).toBe(`vid-${title}`));
+};
+
+describe('accessibility', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('has no axe violations before and after songs arrive, or with the player open', async () => {
+    const { user, youtube } = renderApp();
+    expect(await axeViolations()).toEqual([]);
+
+    await getSongs(user);
+    expect(await axeViolations()).toEqual([]);
+
+    await playSong(user, youtube, 'Song 1');
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  it('exposes chip selection through aria-pressed', async () => {
+    const { user } = renderApp();
+    const calm = screen.getByRole('button', { name: 'Calm' });
+    expect(calm).toHaveAttribute('aria-pressed', 'false');
+
+    await user.click(calm);
+
+    expect(calm).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: 'Single mood' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: /Malayalam/ })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('announces results and the song that starts playing', async () => {
+    const { user, youtube } = renderApp();
+    await getSongs(user);
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('3 songs found'));
+
+    await playSong(user, youtube, 'Song 2');
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Now playing Song 2 by Artist 2'));
+  });
+
+  it('treats the video as a modal dialog that traps focus and closes on Escape', async () => {
+    const { user, youtube } = renderApp();
+    await getSongs(user);
+    const playButton = screen.getByRole('button', { name: 'Play Song 2' });
+    await playSong(user, youtube, 'Song 2');
+
+    const dialog = screen.getByRole('dialog', { name: 'Song 2' });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(dialog).toContainElement(document.activeElement);
+
+    await user.tab({ shift: true });
+    expect(dialog).toContainElement(document.activeElement);
+
+    await user.keyboard('{Escape}');
+    expect(document.querySelector('.player-overlay')).not.toHaveClass('open');
+    expect(playButton).toHaveFocus();
+  });
+
+  it('handles the global keyboard shortcuts', async () => {
+    const { user, youtube } = renderApp();
+
+    await user.keyboard('/');
+    expect(screen.getByRole('textbox', { name: 'Mood' })).toHaveFocus();
+    await user.keyboard('n');
+    expect(screen.getByRole('textbox', { name: 'Mood' })).toHaveValue('Nostalgicn');
+
+    await getSongs(user);
+    const order = [...document.querySelectorAll('.song-card h3')].map((heading) => heading.textContent);
+    await user.click(screen.getByRole('button', { name: /Play All/ }));
+    await waitFor(() => expect(youtube.players[0]?.videoId).toBe(`vid-${order[0]}`));
+    const player = youtube.players[0];
+    document.activeElement.blur();
+
+    await user.keyboard(' ');
+    expect(player.state).toBe(PlayerState.PAUSED);
+
+    await user.keyboard('n');
+    await waitFor(() => expect(player.videoId).toBe(`vid-${order[1]}`));
+
+    await user.keyboard('p');
+    await waitFor(() => expect(player.videoId).toBe(`vid-${order[0]}`));
+  });
+});
@@ -0,0 +1,16 @@
+// What the screen-reader live region says next. `id` changes with every
+// announcement so the same words can be announced twice in a row.
+export const initialState = { message: '', id: 0 };
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'announcer/announce':
+      return { message: action.message, id: state.id + 1 };
+    default:
+      return state;
+  }
+};
+
+export const announce = (message) => ({ type: 'announcer/announce', message });
+
+export const selectAnnouncement = (state) => state.announcer;
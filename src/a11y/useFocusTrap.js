@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+  'textarea:not([disabled])', 'iframe', '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+const focusableIn = (container) => [...container.querySelectorAll(FOCUSABLE)];
+
+// While `active`, Escape inside the element behind `ref` runs `onEscape`.
+// With `trap` on (the default) focus also moves into it, Tab and Shift+Tab
+// cycle within it, and focus returns to where it was once it closes.
+export const useFocusTrap = (ref, { active, trap = true, onEscape }) => {
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return;
+    const previous = document.activeElement;
+    if (trap && !container.contains(previous)) (focusableIn(container)[0] || container).focus();
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (!trap || e.key !== 'Tab') return;
+      const items = focusableIn(container);
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (!first) {
+        e.preventDefault();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener('keydown', onKeyDown);
+    return () => {
+      container.removeEventListener('keydown', onKeyDown);
+      if (trap && previous?.isConnected) previous.focus();
+    };
+  }, [ref, active, trap]);
+};
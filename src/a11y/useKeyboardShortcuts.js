@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+
+// Typing in a field, or pressing Space on a button, keeps its usual meaning
+const ownsKey = (target, key) =>
+  target.isContentEditable
+  || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+  || (key === 'Space' && ['BUTTON', 'A', 'SUMMARY'].includes(target.tagName));
+
+// Page-wide single-key shortcuts. `shortcuts` maps a key ("Space", "n", "/")
+// to a handler; a handler returning false lets the key through untouched.
+export const useKeyboardShortcuts = (shortcuts) => {
+  const shortcutsRef = useRef(shortcuts);
+
+  useEffect(() => {
+    shortcutsRef.current = shortcuts;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      const handler = shortcutsRef.current[key];
+      if (!handler || ownsKey(e.target, key)) return;
+      if (handler(e) !== false) e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+};
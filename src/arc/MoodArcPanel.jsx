@@ -0,0 +1,69 @@
+import { ArrowRight } from 'lucide-react';
+import { MINUTES_PER_SONG, arcLength } from './arc';
+import './MoodArc.css';
+
+// Start mood → end mood plus a length, either in songs or in minutes
+const MoodArcPanel = ({ arc, onChange, moods, onSubmit }) => {
+  const update = (changes) => onChange({ ...arc, ...changes });
+  const submitOnEnter = (e) => e.key === 'Enter' && onSubmit();
+
+  return (
+    <div className="mood-arc-panel">
+      <datalist id="mood-arc-moods">
+        {moods.map((mood) => <option key={mood} value={mood} />)}
+      </datalist>
+
+      <input
+        type="text"
+        list="mood-arc-moods"
+        placeholder="Start mood"
+        value={arc.from}
+        maxLength={80}
+        onChange={(e) => update({ from: e.target.value })}
+        onKeyDown={submitOnEnter}
+        className="glass-input mood-input"
+        aria-label="Start mood"
+      />
+      <ArrowRight className="mood-arc-arrow" size={20} />
+      <input
+        type="text"
+        list="mood-arc-moods"
+        placeholder="End mood"
+        value={arc.to}
+        maxLength={80}
+        onChange={(e) => update({ to: e.target.value })}
+        onKeyDown={submitOnEnter}
+        className="glass-input mood-input"
+        aria-label="End mood"
+      />
+
+      <div className="mood-arc-length">
+        <input
+          type="number"
+          min={1}
+          value={arc.value}
+          onChange={(e) => update({ value: Number(e.target.value) })}
+          onKeyDown={submitOnEnter}
+          className="glass-input small"
+          aria-label="Arc length"
+        />
+        <select
+          value={arc.unit}
+          onChange={(e) => update({ unit: e.target.value })}
+          className="glass-input small"
+          aria-label="Arc length unit"
+        >
+          <option value="songs">songs</option>
+          <option value="minutes">minutes</option>
+        </select>
+        {arc.unit === 'minutes' && (
+          <span className="mood-arc-hint" title={`About ${MINUTES_PER_SONG} minutes per song`}>
+            ≈ {arcLength(arc)} songs
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MoodArcPanel;
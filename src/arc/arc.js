@@ -0,0 +1,27 @@
+// Rough average track length, used to turn a listening time into a song count
+export const MINUTES_PER_SONG = 4;
+export const MIN_ARC_SONGS = 3;
+export const MAX_ARC_SONGS = 30;
+
+export const DEFAULT_ARC = { from: 'Melancholic', to: 'Cheerful', unit: 'songs', value: 8 };
+
+// Arc length in songs, from either a song count or a duration in minutes
+export const arcLength = ({ unit, value }) => {
+  const songs = Math.round(unit === 'minutes' ? value / MINUTES_PER_SONG : value);
+  return Math.min(MAX_ARC_SONGS, Math.max(MIN_ARC_SONGS, songs || MIN_ARC_SONGS));
+};
+
+// Stands in for the mood on saved playlists, history and shares
+export const arcLabel = ({ from, to }) => `${from.trim()} → ${to.trim()}`;
+
+export const toArcRequest = (settings) => ({
+  from: settings.from.trim(),
+  to: settings.to.trim(),
+  length: arcLength(settings),
+});
+
+// Keeps streamed songs in arc order instead of arrival order
+export const insertByArcPosition = (songs, song) => {
+  const index = songs.findIndex((other) => other.arcPosition > song.arcPosition);
+  return index === -1 ? [...songs, song] : [...songs.slice(0, index), song, ...songs.slice(index)];
+};
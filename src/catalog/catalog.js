@@ -0,0 +1,28 @@
+import languageData from './languages.json' with { type: 'json' };
+import moodData from './moods.json' with { type: 'json' };
+
+export const LANGUAGES = languageData.languages;
+export const MOOD_PRESETS = moodData.moods;
+
+const DEFAULT_LABELS = { history: 'Food for thought:', lyrics: 'Lyrics:' };
+
+// Finds a catalog language by name, native name or alias (case-insensitive)
+export const findLanguage = (name) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  return LANGUAGES.find((language) =>
+    [language.name, language.nativeName, ...(language.aliases || [])].some((n) => n.toLowerCase() === wanted)) || null;
+};
+
+// Playlists store their languages as one display string, e.g. "Malayalam, Tamil"
+export const formatLanguages = (names) => names.join(', ');
+
+export const parseLanguages = (value) => String(value || '')
+  .split(/\s*(?:,|\+|&|\band\b)\s*/i)
+  .map((name) => findLanguage(name)?.name || name.trim())
+  .filter(Boolean);
+
+// UI labels for a song card: the song's own language if the model said, else the first selected one
+export const labelsFor = (song, selectedLanguages) => {
+  const language = findLanguage(song.language) || findLanguage(selectedLanguages[0]);
+  return { ...DEFAULT_LABELS, ...language?.labels };
+};
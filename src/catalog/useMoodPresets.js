@@ -0,0 +1,33 @@
+import { useState } from 'react';
+import { MOOD_PRESETS } from './catalog';
+
+const STORAGE_KEY = 'sarigama.customMoods';
+
+const readCustom = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter((preset) => preset && preset.label && preset.mood) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Built-in mood presets plus the ones the user saved, persisted in localStorage
+export const useMoodPresets = () => {
+  const [custom, setCustom] = useState(readCustom);
+
+  const persist = (presets) => {
+    setCustom(presets);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  };
+
+  return {
+    presets: [...MOOD_PRESETS, ...custom.map((preset) => ({ ...preset, custom: true }))],
+    add: (mood, label = mood) => {
+      const text = mood.trim();
+      if (!text || [...MOOD_PRESETS, ...custom].some((preset) => preset.mood.toLowerCase() === text.toLowerCase())) return;
+      persist([...custom, { label: label.trim().slice(0, 24) || text.slice(0, 24), mood: text }]);
+    },
+    remove: (mood) => persist(custom.filter((preset) => preset.mood !== mood)),
+  };
+};
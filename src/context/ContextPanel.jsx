@@ -0,0 +1,108 @@
+import { Clock, CloudSun, Compass, Loader2, LocateFixed, Zap } from 'lucide-react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { runPreset, selectLoading } from '../recommendations/slice';
+import { useListeningContext } from './useListeningContext';
+import { ACTIVITIES, CONTEXT_PRESETS, WEATHER_CONDITIONS, timeOfDayLabel } from './context';
+import '../library/PlaylistLibrary.css';
+import './Context.css';
+
+const TIMES = ['morning', 'afternoon', 'evening', 'night'];
+
+// Optional time / activity / weather context, plus one-tap presets that fill it in and search
+const ContextPanel = () => {
+  const dispatch = useDispatch();
+  const listeningContext = useListeningContext();
+  const loading = useSelector(selectLoading);
+  const { enabled, weather } = listeningContext;
+
+  return (
+    <div className="context-panel">
+      <div className="mood-select-container">
+        <button
+          className={`mood-chip context-chip ${enabled ? 'selected' : ''}`}
+          aria-pressed={enabled}
+          onClick={() => listeningContext.setEnabled(!enabled)}
+          title="Use time of day, activity and weather"
+        >
+          <Compass size={14} />
+          Context
+        </button>
+        {CONTEXT_PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            className="mood-chip context-chip"
+            onClick={() => dispatch(runPreset(preset))}
+            disabled={loading}
+            title={`Get songs for: ${preset.label}`}
+          >
+            <Zap size={14} />
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {enabled && (
+        <div className="context-options">
+          <label className="context-row">
+            <Clock size={16} />
+            <select
+              className="glass-input small"
+              value={listeningContext.pinnedTime}
+              aria-label="Time of day"
+              onChange={(e) => listeningContext.setPinnedTime(e.target.value)}
+            >
+              <option value="">{timeOfDayLabel(listeningContext.clockTime)} (from your clock)</option>
+              {TIMES.map((time) => <option key={time} value={time}>{timeOfDayLabel(time)}</option>)}
+            </select>
+          </label>
+
+          <div className="context-row" role="group" aria-label="Activity">
+            {ACTIVITIES.map((activity) => (
+              <button
+                key={activity.id}
+                className={`mood-chip ${listeningContext.activity === activity.id ? 'selected' : ''}`}
+                aria-pressed={listeningContext.activity === activity.id}
+                onClick={() => listeningContext.setActivity(listeningContext.activity === activity.id ? '' : activity.id)}
+              >
+                {activity.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="context-row">
+            <CloudSun size={16} />
+            <select
+              className="glass-input small"
+              value={weather.condition}
+              onChange={(e) => listeningContext.setWeather(e.target.value)}
+              aria-label="Weather"
+            >
+              <option value="">Any weather</option>
+              {WEATHER_CONDITIONS.map((condition) => (
+                <option key={condition.id} value={condition.id}>{condition.label}</option>
+              ))}
+            </select>
+            <button
+              className="library-icon-btn"
+              onClick={listeningContext.detectWeather}
+              disabled={listeningContext.detecting}
+              title="Detect the current weather"
+              aria-label="Detect the current weather"
+            >
+              {listeningContext.detecting ? <Loader2 size={16} className="spin" /> : <LocateFixed size={16} />}
+            </button>
+            {weather.source && (
+              <span className="context-source">
+                {weather.temperature !== undefined && `${Math.round(weather.temperature)}°C · `}via {weather.source}
+              </span>
+            )}
+          </div>
+
+          {listeningContext.error && <p className="context-error">{listeningContext.error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContextPanel;
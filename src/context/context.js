@@ -0,0 +1,59 @@
+import contextData from './contexts.json' with { type: 'json' };
+
+export const ACTIVITIES = contextData.activities;
+export const WEATHER_CONDITIONS = contextData.weather;
+export const CONTEXT_PRESETS = contextData.presets;
+export const TIMES_OF_DAY = contextData.timesOfDay;
+
+const findActivity = (id) => ACTIVITIES.find((activity) => activity.id === id) || null;
+const findWeather = (id) => WEATHER_CONDITIONS.find((weather) => weather.id === id) || null;
+
+// Time-of-day bucket for the local clock
+export const timeOfDay = (date = new Date()) =>
+  contextData.timesOfDay.filter((slot) => date.getHours() >= slot.from).pop().id;
+
+export const timeOfDayLabel = (id) => contextData.timesOfDay.find((slot) => slot.id === id)?.label || id;
+
+// The context handed to the prompt: plain ids plus an optional temperature (°C).
+// Unset parts are left out; returns null when nothing is set.
+export const buildContext = ({ timeOfDay: time, activity, weather, temperature }) => {
+  const context = {};
+  if (time) context.timeOfDay = time;
+  if (findActivity(activity)) context.activity = activity;
+  if (findWeather(weather)) context.weather = weather;
+  if (context.weather && Number.isFinite(temperature)) context.temperature = Math.round(temperature);
+  return Object.keys(context).length > 0 ? context : null;
+};
+
+// Prompt lines, e.g. ["Time of day: morning", "Activity: the listener is commuting"]
+export const contextLines = (context) => {
+  if (!context) return [];
+  const activity = findActivity(context.activity);
+  const weather = findWeather(context.weather);
+  return [
+    context.timeOfDay && `Time of day: ${context.timeOfDay}`,
+    activity && `Activity: the listener is ${activity.phrase}`,
+    weather && `Weather: ${weather.label.toLowerCase()}${context.temperature !== undefined ? `, ${context.temperature}°C` : ''}`,
+  ].filter(Boolean);
+};
+
+// Mood tags the context leans towards; used by the offline provider
+export const contextMoods = (context) => [
+  ...(findActivity(context?.activity)?.moods || []),
+  ...(findWeather(context?.weather)?.moods || []),
+];
+
+const withArticle = (phrase) => `${/^[aeiou]/i.test(phrase) ? 'an' : 'a'} ${phrase}`;
+
+// The "why these songs" line shown above the results
+export const explainContext = ({ mood, context }) => {
+  if (!context) return '';
+  const weather = findWeather(context.weather);
+  const activity = findActivity(context.activity);
+  const setting = [weather?.label.toLowerCase(), context.timeOfDay || (weather && 'day')].filter(Boolean).join(' ');
+
+  let text = `${mood} songs`;
+  if (setting) text += ` for ${withArticle(setting)}`;
+  if (activity) text += ` while ${activity.phrase.split(' and ')[0]}`;
+  return `${text}.`;
+};
@@ -0,0 +1,81 @@
+import { buildContext, timeOfDay } from './context';
+
+const NO_WEATHER = { condition: '', temperature: undefined, source: '' };
+
+// State behind the context panel. Time of day follows the clock unless a
+// preset or the user pins it; weather is entered by hand or detected.
+export const initialState = {
+  enabled: false,
+  clockTime: timeOfDay(),
+  pinnedTime: '',
+  activity: '',
+  weather: NO_WEATHER,
+  detecting: false,
+  error: '',
+};
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'listeningContext/setEnabled':
+      return { ...state, enabled: action.enabled };
+    case 'listeningContext/clockTicked':
+      return state.clockTime === action.clockTime ? state : { ...state, clockTime: action.clockTime };
+    case 'listeningContext/setPinnedTime':
+      return { ...state, pinnedTime: action.pinnedTime };
+    case 'listeningContext/setActivity':
+      return { ...state, activity: action.activity };
+    case 'listeningContext/setWeather':
+      return { ...state, weather: { ...NO_WEATHER, condition: action.condition } };
+    case 'listeningContext/detecting':
+      return { ...state, detecting: true, error: '' };
+    case 'listeningContext/detected':
+      return { ...state, detecting: false, weather: action.weather };
+    case 'listeningContext/detectFailed':
+      return { ...state, detecting: false, error: action.error };
+    case 'listeningContext/presetApplied': {
+      const { preset } = action;
+      return {
+        ...state,
+        enabled: true,
+        pinnedTime: preset.timeOfDay || '',
+        activity: preset.activity || '',
+        weather: preset.weather ? { ...NO_WEATHER, condition: preset.weather } : state.weather,
+      };
+    }
+    default:
+      return state;
+  }
+};
+
+export const setContextEnabled = (enabled) => ({ type: 'listeningContext/setEnabled', enabled });
+export const clockTicked = (clockTime = timeOfDay()) => ({ type: 'listeningContext/clockTicked', clockTime });
+export const setPinnedTime = (pinnedTime) => ({ type: 'listeningContext/setPinnedTime', pinnedTime });
+export const setActivity = (activity) => ({ type: 'listeningContext/setActivity', activity });
+export const setWeather = (condition) => ({ type: 'listeningContext/setWeather', condition });
+
+export const selectContextState = (state) => state.listeningContext;
+
+// Builds a new object on every call, so components go through useListeningContext
+export const contextOf = ({ enabled, pinnedTime, clockTime, activity, weather }) => (enabled
+  ? buildContext({ timeOfDay: pinnedTime || clockTime, activity, weather: weather.condition, temperature: weather.temperature })
+  : null);
+
+export const selectListeningContext = (state) => contextOf(state.listeningContext);
+
+export const detectWeather = () => async (dispatch, getState, { services }) => {
+  const provider = services.getWeatherProvider();
+  dispatch({ type: 'listeningContext/detecting' });
+  try {
+    const { condition, temperature } = await provider.current();
+    dispatch({ type: 'listeningContext/detected', weather: { condition, temperature, source: provider.label } });
+  } catch (err) {
+    console.error(err);
+    dispatch({ type: 'listeningContext/detectFailed', error: `Couldn't read the weather: ${err.message}` });
+  }
+};
+
+// Turns the panel on with the preset's values and returns the resulting context
+export const applyPreset = (preset) => (dispatch, getState) => {
+  dispatch({ type: 'listeningContext/presetApplied', preset });
+  return selectListeningContext(getState());
+};
@@ -0,0 +1,22 @@
+import { useMemo } from 'react';
+import { useDispatch, useSelector } from '../store/hooks';
+import {
+  contextOf, detectWeather, selectContextState, setActivity, setContextEnabled, setPinnedTime, setWeather,
+} from './slice';
+
+// The context panel's view of the store: its values, setters and the built context
+export const useListeningContext = () => {
+  const dispatch = useDispatch();
+  const state = useSelector(selectContextState);
+  const context = useMemo(() => contextOf(state), [state]);
+
+  return {
+    ...state,
+    context,
+    setEnabled: (enabled) => dispatch(setContextEnabled(enabled)),
+    setPinnedTime: (time) => dispatch(setPinnedTime(time)),
+    setActivity: (activity) => dispatch(setActivity(activity)),
+    setWeather: (condition) => dispatch(setWeather(condition)),
+    detectWeather: () => dispatch(detectWeather()),
+  };
+};
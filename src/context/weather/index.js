@@ -0,0 +1,16 @@
+import { createStubWeatherProvider } from './stub';
+import { createOpenMeteoProvider } from './openMeteo';
+
+const env = import.meta.env;
+
+const factories = {
+  stub: () => createStubWeatherProvider(),
+  'open-meteo': () => createOpenMeteoProvider({ baseUrl: env.VITE_OPEN_METEO_BASE_URL || undefined }),
+};
+
+// VITE_WEATHER_PROVIDER picks the source ("stub" or "open-meteo"); anything
+// unknown or unusable in this browser falls back to the local stub.
+export const getWeatherProvider = (name = env.VITE_WEATHER_PROVIDER || 'stub') => {
+  const provider = (factories[name.trim().toLowerCase()] || factories.stub)();
+  return provider.isConfigured() ? provider : factories.stub();
+};
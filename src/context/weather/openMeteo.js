@@ -0,0 +1,36 @@
+// WMO weather interpretation codes, grouped into the panel's conditions
+const conditionFor = (code) => {
+  if (code <= 1) return 'clear';
+  if (code <= 3) return 'cloudy';
+  if (code <= 48) return 'foggy';
+  if (code <= 67 || (code >= 80 && code <= 82)) return 'rainy';
+  if (code <= 77 || code === 85 || code === 86) return 'snowy';
+  return 'stormy';
+};
+
+const locate = () => new Promise((resolve, reject) => {
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve(coords),
+    (err) => reject(new Error(err.message || 'Location access was denied')),
+    { maximumAge: 30 * 60 * 1000, timeout: 10000 },
+  );
+});
+
+// Current weather from Open-Meteo (no API key) at the browser's location
+export const createOpenMeteoProvider = ({ baseUrl = 'https://api.open-meteo.com' } = {}) => ({
+  name: 'open-meteo',
+  label: 'Open-Meteo',
+  isConfigured: () => typeof navigator !== 'undefined' && Boolean(navigator.geolocation),
+  current: async ({ signal } = {}) => {
+    const { latitude, longitude } = await locate();
+    const params = new URLSearchParams({
+      latitude: latitude.toFixed(2),
+      longitude: longitude.toFixed(2),
+      current: 'temperature_2m,weather_code',
+    });
+    const response = await fetch(`${baseUrl}/v1/forecast?${params}`, { signal });
+    if (!response.ok) throw new Error(`Weather lookup failed (${response.status})`);
+    const { current } = await response.json();
+    return { condition: conditionFor(current.weather_code), temperature: current.temperature_2m };
+  },
+});
@@ -0,0 +1,17 @@
+// Same weather for the whole day, picked from the date, so the context panel
+// works offline and without location access.
+const CONDITIONS = ['clear', 'cloudy', 'rainy', 'clear', 'foggy', 'stormy', 'cloudy'];
+
+export const createStubWeatherProvider = ({ now = () => new Date() } = {}) => ({
+  name: 'stub',
+  label: 'Local stub',
+  isConfigured: () => true,
+  current: async () => {
+    const date = now();
+    const day = Math.floor(date.getTime() / 86400000);
+    const month = date.getMonth();
+    const summer = month >= 3 && month <= 8;
+    if (!summer && day % 5 === 0) return { condition: 'snowy', temperature: -(day % 4) };
+    return { condition: CONDITIONS[day % CONDITIONS.length], temperature: (summer ? 22 : 8) + (day % 7) };
+  },
+});
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { History, ChevronDown, ChevronUp, Download, Trash2, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { downloadFile } from '../sharing/formats';
+import { useDispatch, useSelector } from '../store/hooks';
+import { clearListening, selectListening } from './slice';
+import '../library/PlaylistLibrary.css';
+
+const HistoryPanel = () => {
+  const dispatch = useDispatch();
+  const [open, setOpen] = useState(false);
+  const { history, feedback } = useSelector(selectListening);
+
+  const exportData = () => {
+    const content = JSON.stringify({ app: 'SariGama', exportedAt: new Date().toISOString(), history, feedback }, null, 2);
+    downloadFile(content, 'sarigama-listening-history.json', 'application/json');
+  };
+
+  return (
+    <section className="library-section">
+      <div className="library-header">
+        <button className="library-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+          <History size={18} />
+          <span>Listening History ({history.length})</span>
+          {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+        </button>
+        {open && (
+          <>
+            <button className="library-icon-btn" onClick={exportData} title="Export history and ratings" aria-label="Export history and ratings">
+              <Download size={16} />
+            </button>
+            <button
+              className="library-icon-btn danger"
+              onClick={() => window.confirm('Clear all listening history and ratings?') && dispatch(clearListening())}
+              title="Clear history and ratings"
+              aria-label="Clear history and ratings"
+              disabled={history.length === 0 && feedback.length === 0}
+            >
+              <Trash2 size={16} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {open && (
+        <div className="library-list">
+          {history.length === 0 && feedback.length === 0 && (
+            <p className="library-empty">Nothing yet. Songs you play and rate show up here and shape future playlists.</p>
+          )}
+
+          {history.length > 0 && (
+            <ol className="library-item history-list">
+              {history.map((entry) => (
+                <li key={entry.id} className="library-track">
+                  <span className="library-track-title">{entry.title}</span>
+                  <span className="library-track-artist">{entry.artist}</span>
+                  <span className="library-item-meta">{new Date(entry.playedAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {feedback.length > 0 && (
+            <ul className="library-item history-list ratings">
+              {feedback.map((entry) => (
+                <li key={entry.id} className="library-track">
+                  {entry.rating > 0 ? <ThumbsUp size={14} /> : <ThumbsDown size={14} />}
+                  <span className="library-track-title">{entry.title}</span>
+                  <span className="library-track-artist">{entry.artist}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,70 @@
+import * as db from '../storage/db';
+import { songKey } from '../recommendations/parse';
+
+const HISTORY = 'history';
+const FEEDBACK = 'feedback';
+
+// Songs heard within this window are excluded from new playlists
+const RECENT_DAYS = 14;
+const MAX_RECENT = 30;
+
+// Plays kept in the history panel and taste profile; older ones are dropped
+export const MAX_HISTORY = 500;
+
+export const listHistory = async () => {
+  const entries = await db.getAll(HISTORY);
+  return entries.sort((a, b) => b.playedAt - a.playedAt);
+};
+
+export const recordPlay = async ({ song, mood, language }) => {
+  await db.put(HISTORY, {
+    id: crypto.randomUUID(),
+    title: song.title,
+    artist: song.artist,
+    mood,
+    language,
+    playedAt: Date.now(),
+  });
+  const entries = await listHistory();
+  await Promise.all(entries.slice(MAX_HISTORY).map((old) => db.remove(HISTORY, old.id)));
+};
+
+// rating: 1 (thumbs up), -1 (thumbs down) or 0 to clear
+export const rateSong = (song, rating) => {
+  const id = songKey(song);
+  if (rating === 0) return db.remove(FEEDBACK, id);
+  return db.put(FEEDBACK, { id, title: song.title, artist: song.artist, rating, ratedAt: Date.now() });
+};
+
+export const listFeedback = async () => {
+  const entries = await db.getAll(FEEDBACK);
+  return entries.sort((a, b) => b.ratedAt - a.ratedAt);
+};
+
+export const clearListeningData = () => Promise.all([db.clear(HISTORY), db.clear(FEEDBACK)]);
+
+const uniqueSongs = (entries) => {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const key = songKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Condenses history and feedback into what the recommendation prompt needs
+export const buildTasteProfile = ({ history, feedback }) => {
+  const since = Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000;
+  const liked = feedback.filter((entry) => entry.rating > 0);
+
+  const artistCounts = new Map();
+  for (const { artist } of liked) artistCounts.set(artist, (artistCounts.get(artist) || 0) + 1);
+
+  return {
+    recent: uniqueSongs(history.filter((entry) => entry.playedAt >= since)).slice(0, MAX_RECENT),
+    likedSongs: liked.slice(0, 10),
+    likedArtists: [...artistCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([artist]) => artist),
+    dislikedSongs: feedback.filter((entry) => entry.rating < 0).slice(0, 15),
+  };
+};
@@ -0,0 +1,32 @@
+import { songKey } from '../recommendations/parse';
+import { buildTasteProfile, clearListeningData, listFeedback, listHistory, rateSong as saveRating, recordPlay as savePlay } from './history';
+
+export const initialState = { history: [], feedback: [] };
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'listening/loaded':
+      return { history: action.history, feedback: action.feedback };
+    default:
+      return state;
+  }
+};
+
+export const selectListening = (state) => state.listening;
+export const selectRating = (state, song) =>
+  state.listening.feedback.find((entry) => entry.id === songKey(song))?.rating || 0;
+// Builds a new profile on every call; meant for thunks, not useSelector
+export const selectTaste = (state) => buildTasteProfile(state.listening);
+
+const logError = (err) => console.error('Listening history unavailable', err);
+
+// Runs `operation` against IndexedDB, then reloads both stores into the state
+const update = (operation) => (dispatch) => operation()
+  .then(() => Promise.all([listHistory(), listFeedback()]))
+  .then(([history, feedback]) => dispatch({ type: 'listening/loaded', history, feedback }))
+  .catch(logError);
+
+export const loadListening = () => update(() => Promise.resolve());
+export const recordPlay = (play) => update(() => savePlay(play));
+export const rateSong = (song, rating) => update(() => saveRating(song, rating));
+export const clearListening = () => update(clearListeningData);
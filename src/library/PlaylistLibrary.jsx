@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { ListMusic, Pencil, Trash2, GripVertical, Plus, Check, X, ChevronDown, ChevronUp, FolderOpen } from 'lucide-react';
+import { useDispatch } from '../store/hooks';
+import { openList } from '../songList/slice';
+import { songKey } from '../recommendations/parse';
+import { usePlaylistLibrary } from './usePlaylistLibrary';
+import './PlaylistLibrary.css';
+
+const PlaylistTracks = ({ playlist, onChangeSongs }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [newTitle, setNewTitle] = useState('');
+  const [newArtist, setNewArtist] = useState('');
+
+  const moveSong = (from, to) => {
+    if (from === null || from === to) return;
+    const songs = [...playlist.songs];
+    const [moved] = songs.splice(from, 1);
+    songs.splice(to, 0, moved);
+    onChangeSongs(songs);
+  };
+
+  const addSong = (e) => {
+    e.preventDefault();
+    if (!newTitle.trim() || !newArtist.trim()) return;
+    const song = { title: newTitle.trim(), artist: newArtist.trim(), reason: '', history: '', lyricsSnippet: '' };
+    // A song already in the playlist stays where it is
+    if (!playlist.songs.some((existing) => songKey(existing) === songKey(song))) onChangeSongs([...playlist.songs, song]);
+    setNewTitle('');
+    setNewArtist('');
+  };
+
+  return (
+    <div className="library-tracks">
+      <ol>
+        {playlist.songs.map((song, index) => (
+          <li
+            key={`${song.title}-${song.artist}-${index}`}
+            draggable
+            onDragStart={() => setDragIndex(index)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => {
+              moveSong(dragIndex, index);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+            className={`library-track ${dragIndex === index ? 'dragging' : ''}`}
+          >
+            <GripVertical size={16} className="drag-handle" />
+            <span className="library-track-title">{song.title}</span>
+            <span className="library-track-artist">{song.artist}</span>
+            <button
+              className="library-icon-btn"
+              onClick={() => onChangeSongs(playlist.songs.filter((_, i) => i !== index))}
+              title="Remove track"
+              aria-label={`Remove ${song.title}`}
+            >
+              <X size={14} />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <form className="library-add-track" onSubmit={addSong}>
+        <input
+          className="glass-input small"
+          placeholder="Song title"
+          aria-label="Song title"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+        />
+        <input
+          className="glass-input small"
+          placeholder="Artist"
+          aria-label="Artist"
+          value={newArtist}
+          onChange={(e) => setNewArtist(e.target.value)}
+        />
+        <button type="submit" className="library-icon-btn" title="Add track" aria-label="Add track" disabled={!newTitle.trim() || !newArtist.trim()}>
+          <Plus size={16} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const PlaylistLibrary = ({ children }) => {
+  const dispatch = useDispatch();
+  const library = usePlaylistLibrary();
+  const [open, setOpen] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const { playlists } = library;
+
+  const commitRename = async (id) => {
+    if (draftName.trim()) await library.rename(id, draftName.trim());
+    setRenamingId(null);
+  };
+
+  return (
+    <section className="library-section">
+      <div className="library-header">
+        <button className="library-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+          <ListMusic size={18} />
+          <span>My Playlists ({playlists.length})</span>
+          {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+        </button>
+        {children}
+      </div>
+
+      {open && (
+        <div className="library-list">
+          {library.error && <p className="library-empty">{library.error}</p>}
+          {!library.error && playlists.length === 0 && (
+            <p className="library-empty">No saved playlists yet. Generate some songs and hit Save.</p>
+          )}
+
+          {playlists.map((playlist) => (
+            <div key={playlist.id} className="library-item">
+              <div className="library-item-header">
+                {renamingId === playlist.id ? (
+                  <form
+                    className="library-rename"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      commitRename(playlist.id);
+                    }}
+                  >
+                    <input
+                      autoFocus
+                      className="glass-input small"
+                      aria-label="Playlist name"
+                      value={draftName}
+                      onChange={(e) => setDraftName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                    />
+                    <button type="submit" className="library-icon-btn" title="Save name" aria-label="Save name">
+                      <Check size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <button
+                    className="library-item-name"
+                    onClick={() => setExpandedId(expandedId === playlist.id ? null : playlist.id)}
+                    aria-expanded={expandedId === playlist.id}
+                  >
+                    <strong>{playlist.name}</strong>
+                    <span className="library-item-meta">
+                      {playlist.mood} · {playlist.language} · {playlist.songs.length} songs · {new Date(playlist.updatedAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                )}
+
+                <div className="library-item-actions">
+                  <button className="library-icon-btn" onClick={() => dispatch(openList(playlist))} title="Load playlist" aria-label={`Load ${playlist.name}`}>
+                    <FolderOpen size={16} />
+                  </button>
+                  <button
+                    className="library-icon-btn"
+                    onClick={() => {
+                      setRenamingId(playlist.id);
+                      setDraftName(playlist.name);
+                    }}
+                    title="Rename playlist"
+                    aria-label={`Rename ${playlist.name}`}
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    className="library-icon-btn danger"
+                    onClick={() => window.confirm(`Delete "${playlist.name}"?`) && library.remove(playlist.id)}
+                    title="Delete playlist"
+                    aria-label={`Delete ${playlist.name}`}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              {expandedId === playlist.id && (
+                <PlaylistTracks
+                  playlist={playlist}
+                  onChangeSongs={(songs) => library.setSongs(playlist.id, songs)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PlaylistLibrary;
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { Clock, ChevronDown, ChevronUp, FolderOpen } from 'lucide-react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { openList } from '../songList/slice';
+import { selectRecentLists } from './slice';
+import './PlaylistLibrary.css';
+
+// The last few generated lists, readable offline
+const RecentLists = () => {
+  const dispatch = useDispatch();
+  const lists = useSelector(selectRecentLists);
+  const [open, setOpen] = useState(false);
+  const onLoad = (list) => dispatch(openList(list, { why: list.why }));
+
+  return (
+    <section className="library-section">
+      <div className="library-header">
+        <button className="library-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+          <Clock size={18} />
+          <span>Recent Lists ({lists.length})</span>
+          {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+        </button>
+      </div>
+
+      {open && (
+        <div className="library-list">
+          {lists.length === 0 && (
+            <p className="library-empty">Lists you generate are kept here, and stay readable offline.</p>
+          )}
+
+          {lists.map((list) => (
+            <div key={list.id} className="library-item">
+              <div className="library-item-header">
+                <button className="library-item-name" onClick={() => onLoad(list)}>
+                  <strong>{list.mood}</strong>
+                  <span className="library-item-meta">
+                    {list.language} · {list.songs.length} songs · {new Date(list.createdAt).toLocaleString()}
+                  </span>
+                </button>
+                <div className="library-item-actions">
+                  <button className="library-icon-btn" onClick={() => onLoad(list)} title="Open list" aria-label={`Open ${list.mood} list`}>
+                    <FolderOpen size={16} />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default RecentLists;
@@ -0,0 +1,33 @@
+import * as db from '../storage/db';
+
+const STORE = 'playlists';
+
+export const listPlaylists = async () => {
+  const playlists = await db.getAll(STORE);
+  return playlists.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const createPlaylist = async ({ name, mood, language, songs }) => {
+  const now = Date.now();
+  const playlist = {
+    id: crypto.randomUUID(),
+    name: name || `${mood} · ${language}`,
+    mood,
+    language,
+    songs: songs.map((song) => ({ ...song })),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await db.put(STORE, playlist);
+  return playlist;
+};
+
+export const updatePlaylist = async (id, changes) => {
+  const playlist = await db.get(STORE, id);
+  if (!playlist) throw new Error('Playlist not found');
+  const updated = { ...playlist, ...changes, id, updatedAt: Date.now() };
+  await db.put(STORE, updated);
+  return updated;
+};
+
+export const deletePlaylist = (id) => db.remove(STORE, id);
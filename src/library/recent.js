@@ -0,0 +1,27 @@
+import * as db from '../storage/db';
+
+const STORE = 'recent';
+
+// Generated lists kept for offline browsing; older ones are dropped
+export const MAX_RECENT_LISTS = 10;
+
+export const listRecentLists = async () => {
+  const lists = await db.getAll(STORE);
+  return lists.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Remembers a generated list with everything its cards show (reasons, history, lyrics snippets)
+export const addRecentList = async ({ mood, language, why = '', songs }) => {
+  const list = {
+    id: crypto.randomUUID(),
+    mood,
+    language,
+    why,
+    songs: songs.map((song) => ({ ...song })),
+    createdAt: Date.now(),
+  };
+  await db.put(STORE, list);
+  const lists = await listRecentLists();
+  await Promise.all(lists.slice(MAX_RECENT_LISTS).map((old) => db.remove(STORE, old.id)));
+  return list;
+};
@@ -0,0 +1,59 @@
+import { createPlaylist, deletePlaylist, listPlaylists, updatePlaylist } from './playlists';
+import { addRecentList, listRecentLists } from './recent';
+
+export const initialState = { playlists: [], error: '', recent: [] };
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'library/playlistsLoaded':
+      return { ...state, playlists: action.playlists };
+    case 'library/failed':
+      return { ...state, error: action.error };
+    case 'library/recentLoaded':
+      return { ...state, recent: action.recent };
+    default:
+      return state;
+  }
+};
+
+export const selectPlaylists = (state) => state.library.playlists;
+export const selectLibraryError = (state) => state.library.error;
+export const selectRecentLists = (state) => state.library.recent;
+
+const logRecentError = (err) => console.error('Recent lists unavailable', err);
+
+export const loadLibrary = () => (dispatch) => Promise.all([
+  listPlaylists()
+    .then((playlists) => dispatch({ type: 'library/playlistsLoaded', playlists }))
+    .catch((err) => {
+      console.error('Failed to read playlist library', err);
+      dispatch({ type: 'library/failed', error: 'Saved playlists are unavailable in this browser.' });
+    }),
+  listRecentLists()
+    .then((recent) => dispatch({ type: 'library/recentLoaded', recent }))
+    .catch(logRecentError),
+]);
+
+// Runs a change against the saved playlists and reloads them; resolves to
+// the operation's result, or null when it failed
+const run = (operation) => async (dispatch) => {
+  try {
+    const result = await operation();
+    dispatch({ type: 'library/playlistsLoaded', playlists: await listPlaylists() });
+    return result;
+  } catch (err) {
+    console.error('Playlist library error', err);
+    dispatch({ type: 'library/failed', error: err.message || 'Could not update the playlist library.' });
+    return null;
+  }
+};
+
+export const savePlaylist = (playlist) => run(() => createPlaylist(playlist));
+export const renamePlaylist = (id, name) => run(() => updatePlaylist(id, { name }));
+export const setPlaylistSongs = (id, songs) => run(() => updatePlaylist(id, { songs }));
+export const removePlaylist = (id) => run(() => deletePlaylist(id));
+
+export const addRecent = (list) => (dispatch) => addRecentList(list)
+  .then(listRecentLists)
+  .then((recent) => dispatch({ type: 'library/recentLoaded', recent }))
+  .catch(logRecentError);
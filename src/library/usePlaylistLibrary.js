@@ -0,0 +1,17 @@
+import { useDispatch, useSelector } from '../store/hooks';
+import {
+  removePlaylist, renamePlaylist, savePlaylist, selectLibraryError, selectPlaylists, setPlaylistSongs,
+} from './slice';
+
+export const usePlaylistLibrary = () => {
+  const dispatch = useDispatch();
+
+  return {
+    playlists: useSelector(selectPlaylists),
+    error: useSelector(selectLibraryError),
+    save: (playlist) => dispatch(savePlaylist(playlist)),
+    rename: (id, name) => dispatch(renamePlaylist(id, name)),
+    setSongs: (id, songs) => dispatch(setPlaylistSongs(id, songs)),
+    remove: (id) => dispatch(removePlaylist(id)),
+  };
+};
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from 'react';
+import { CaseSensitive, Languages, Loader2, X } from 'lucide-react';
+import { useLyrics } from './useLyrics';
+import { activeLineIndex } from './lrc';
+import { useFocusTrap } from '../a11y/useFocusTrap';
+import './Lyrics.css';
+
+// How often the panel reads the player's position while following synced lyrics
+const FOLLOW_INTERVAL_MS = 250;
+
+// Full-screen lyrics for the current song. Synced (LRC) lyrics follow the
+// player and clicking a line seeks to it.
+const LyricsPanel = ({ song, open, onClose, getCurrentTime, onSeek }) => {
+  const { lyrics, annotations, annotating, loading, error } = useLyrics(song, { enabled: open });
+  const [showTransliteration, setShowTransliteration] = useState(true);
+  const [showTranslation, setShowTranslation] = useState(true);
+  const [time, setTime] = useState(0);
+  const lineRefs = useRef([]);
+  const panelRef = useRef(null);
+
+  const synced = Boolean(lyrics?.synced);
+  const active = synced ? activeLineIndex(lyrics.lines, time) : -1;
+
+  useEffect(() => {
+    if (!open || !synced) return;
+    const timer = setInterval(() => setTime(getCurrentTime() || 0), FOLLOW_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [open, synced, getCurrentTime]);
+
+  useEffect(() => {
+    lineRefs.current[active]?.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+  }, [active]);
+
+  const visible = open && Boolean(song);
+  useFocusTrap(panelRef, { active: visible, onEscape: onClose });
+
+  if (!visible) return null;
+
+  return (
+    <div
+      ref={panelRef}
+      className="lyrics-panel"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lyrics-title"
+      tabIndex={-1}
+    >
+      <div className="lyrics-header">
+        <div className="lyrics-song">
+          <h2 id="lyrics-title">{song.title}</h2>
+          <p>
+            {song.artist}
+            {lyrics && <span className="lyrics-source"> · {lyrics.source}{synced ? ' · synced' : ''}</span>}
+          </p>
+        </div>
+        <div className="lyrics-toggles">
+          <button
+            className={`queue-btn ${showTransliteration ? 'active' : ''}`}
+            onClick={() => setShowTransliteration(!showTransliteration)}
+            title="Show transliteration"
+            aria-label="Show transliteration"
+            aria-pressed={showTransliteration}
+          >
+            <CaseSensitive size={18} />
+          </button>
+          <button
+            className={`queue-btn ${showTranslation ? 'active' : ''}`}
+            onClick={() => setShowTranslation(!showTranslation)}
+            title="Show English translation"
+            aria-label="Show English translation"
+            aria-pressed={showTranslation}
+          >
+            <Languages size={18} />
+          </button>
+          <button className="queue-btn" onClick={onClose} title="Close lyrics" aria-label="Close lyrics" aria-keyshortcuts="Escape">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      <div className="lyrics-body">
+        {loading && <p className="lyrics-status"><Loader2 className="spin" size={18} /> Looking for lyrics…</p>}
+        {!loading && !lyrics && <p className="lyrics-status">{error || 'No lyrics found for this song.'}</p>}
+        {lyrics && (
+          <>
+            {annotating && <p className="lyrics-status"><Loader2 className="spin" size={16} /> Translating…</p>}
+            {!annotating && error && <p className="lyrics-status">{error}</p>}
+            <ol className="lyrics-lines">
+              {lyrics.lines.map((line, i) => {
+                const note = annotations?.[line.text];
+                return (
+                  <li
+                    key={i}
+                    ref={(element) => { lineRefs.current[i] = element; }}
+                    className={`lyrics-line ${i === active ? 'active' : ''} ${synced ? 'seekable' : ''}`}
+                    onClick={synced ? () => onSeek(line.time) : undefined}
+                    onKeyDown={synced ? (e) => e.key === 'Enter' && onSeek(line.time) : undefined}
+                    tabIndex={synced ? 0 : undefined}
+                    aria-current={i === active || undefined}
+                  >
+                    <span className="lyrics-original">{line.text || '♪'}</span>
+                    {showTransliteration && note?.transliteration && note.transliteration !== line.text && (
+                      <span className="lyrics-transliteration">{note.transliteration}</span>
+                    )}
+                    {showTranslation && note?.translation && note.translation !== line.text && (
+                      <span className="lyrics-translation">{note.translation}</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LyricsPanel;
@@ -0,0 +1,40 @@
+import { generateWithFailover } from '../recommendations';
+import { extractJsonArray } from '../recommendations/parse';
+
+const LATIN = /^[\p{Script=Latin}\p{N}\p{P}\p{Zs}\p{S}]*$/u;
+
+// English songs need neither; everything else gets at least a translation
+export const needsAnnotation = (song, lines) =>
+  !/^english$/i.test(song.language || '') || lines.some((line) => !LATIN.test(line.text));
+
+// Maps the model's answer back onto `texts`; lines it skipped get null
+export const parseAnnotations = (text, texts) => {
+  const byIndex = new Map();
+  extractJsonArray(text).forEach((item, position) => {
+    if (!item || typeof item !== 'object') return;
+    const index = Number.isInteger(item.line) ? item.line - 1 : position;
+    byIndex.set(index, {
+      transliteration: String(item.transliteration || '').trim(),
+      translation: String(item.translation || '').trim(),
+    });
+  });
+  return texts.map((_, i) => byIndex.get(i) || null);
+};
+
+// Per-line transliteration and English translation from the recommendation
+// providers (the API server turns the request into a prompt, see prompt.js).
+// Repeated lines (choruses) are only sent once. Resolves to { annotations,
+// provider }, annotations being keyed by line text.
+export const annotateLyrics = async (song, lines, { signal, providers } = {}) => {
+  const texts = [...new Set(lines.map((line) => line.text).filter(Boolean))];
+  const { text, provider } = await generateWithFailover({
+    task: 'lyrics',
+    song: { title: song.title, artist: song.artist, language: song.language },
+    lines: texts,
+    signal,
+  }, providers);
+
+  const parsed = parseAnnotations(text, texts);
+  const annotations = Object.fromEntries(texts.map((line, i) => [line, parsed[i]]).filter(([, value]) => value));
+  return { annotations, provider };
+};
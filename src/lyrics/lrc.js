@@ -0,0 +1,46 @@
+// [mm:ss.xx] time tags at the start of an LRC line; a line may carry several
+const TIME_TAG = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const OFFSET_TAG = /^\[offset:\s*([+-]?\d+)\]/im;
+
+export const isLrc = (text) => /^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(text || '');
+
+// Parses LRC text into { time, text } lines sorted by start time in seconds.
+// Metadata tags such as [ar:...] are skipped; [offset:ms] is applied.
+export const parseLrc = (text) => {
+  const offset = Number(OFFSET_TAG.exec(text)?.[1] || 0) / 1000;
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw) => {
+    const tags = [...raw.matchAll(TIME_TAG)];
+    if (tags.length === 0) return;
+    const words = raw.replace(TIME_TAG, '').trim();
+    tags.forEach(([, minutes, seconds]) => {
+      const time = Number(minutes) * 60 + Number(seconds.replace(':', '.')) - offset;
+      lines.push({ time: Math.max(0, time), text: words });
+    });
+  });
+  return lines.sort((a, b) => a.time - b.time);
+};
+
+// Unsynced lyrics: one line per non-empty row, without times
+export const plainLines = (text) => String(text || '')
+  .split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => ({ time: null, text: line }));
+
+// Index of the line being sung at `seconds`, or -1 before the first one
+export const activeLineIndex = (lines, seconds) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= seconds) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
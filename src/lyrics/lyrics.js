@@ -0,0 +1,45 @@
+import * as db from '../storage/db';
+import { songKey } from '../recommendations/parse';
+import { findLyrics } from './sources';
+import { annotateLyrics } from './annotate';
+
+const STORE = 'lyrics';
+
+// Songs no source had lyrics for are looked up again after a week
+const RETRY_MISSING_MS = 7 * 24 * 60 * 60 * 1000;
+
+const readCache = async (song) => {
+  try {
+    return await db.get(STORE, songKey(song));
+  } catch (err) {
+    console.warn('Lyrics cache unavailable', err);
+    return null;
+  }
+};
+
+const writeCache = (song, entry) =>
+  db.put(STORE, { id: songKey(song), title: song.title, artist: song.artist, ...entry, cachedAt: Date.now() })
+    .catch((err) => console.warn('Could not cache lyrics', err));
+
+// Lyrics for a song, cache first. Resolves to { lyrics, annotations } where
+// `lyrics` is { source, synced, lines } or null and `annotations` maps line
+// text to { transliteration, translation } once they have been fetched.
+export const loadLyrics = async (song, { signal } = {}) => {
+  const cached = await readCache(song);
+  if (cached && (cached.lyrics || Date.now() - cached.cachedAt < RETRY_MISSING_MS)) {
+    return { lyrics: cached.lyrics, annotations: cached.annotations || null };
+  }
+
+  const lyrics = await findLyrics(song, { signal });
+  await writeCache(song, { lyrics, annotations: null });
+  return { lyrics, annotations: null };
+};
+
+// Fetches and caches transliteration and translation for loaded lyrics. The
+// mock provider's placeholders are shown but not cached, so a real provider
+// gets asked next time.
+export const loadAnnotations = async (song, lyrics, { signal } = {}) => {
+  const { annotations, provider } = await annotateLyrics(song, lyrics.lines, { signal });
+  if (provider.name !== 'mock') await writeCache(song, { lyrics, annotations });
+  return annotations;
+};
@@ -0,0 +1,12 @@
+// `texts` are the distinct lyric lines, numbered in the prompt from 1
+export const buildAnnotationPrompt = ({ song, texts }) => `
+      You are helping a listener follow the lyrics of "${song.title}" by ${song.artist}${song.language ? ` (${song.language})` : ''}.
+      For every numbered line below, give:
+      - "transliteration": the line in Latin script, as it is pronounced (repeat it unchanged if it is already in Latin script)
+      - "translation": a natural English translation (repeat it unchanged if it is already English)
+
+      ${texts.map((text, i) => `${i + 1}. ${text}`).join('\n      ')}
+
+      Return ONLY a raw JSON array with one object per line, in order, and no other text:
+      [{ "line": 1, "transliteration": "...", "translation": "..." }]
+      `;
@@ -0,0 +1,32 @@
+import { createLrclibSource } from './lrclib';
+import { createSnippetSource } from './snippet';
+
+const env = import.meta.env;
+
+const factories = {
+  lrclib: () => createLrclibSource({ baseUrl: env.VITE_LRCLIB_BASE_URL || undefined }),
+  snippet: () => createSnippetSource(),
+};
+
+// Source order comes from VITE_LYRICS_SOURCES, e.g. "lrclib,snippet"
+export const getLyricsSources = (order = env.VITE_LYRICS_SOURCES || 'lrclib,snippet') =>
+  order
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => factories[name])
+    .map((name) => factories[name]());
+
+// Asks each source in turn; the first with any lines wins and a failing source is skipped.
+// Resolves to { source, synced, lines } or null.
+export const findLyrics = async (song, { signal, sources = getLyricsSources() } = {}) => {
+  for (const source of sources) {
+    try {
+      const found = await source.fetch(song, { signal });
+      if (found && found.lines.length > 0) return { ...found, source: source.label };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn(`Lyrics source "${source.name}" failed, trying the next one.`, err);
+    }
+  }
+  return null;
+};
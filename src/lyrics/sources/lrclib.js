@@ -0,0 +1,18 @@
+import { parseLrc, plainLines } from '../lrc';
+
+// LRCLIB (https://lrclib.net): free, keyless, and often has time-synced LRC lyrics
+export const createLrclibSource = ({ baseUrl = 'https://lrclib.net' } = {}) => ({
+  name: 'lrclib',
+  label: 'LRCLIB',
+  fetch: async (song, { signal } = {}) => {
+    const params = new URLSearchParams({ track_name: song.title, artist_name: song.artist });
+    const response = await fetch(`${baseUrl}/api/search?${params}`, { signal });
+    if (!response.ok) throw new Error(`LRCLIB search failed (${response.status})`);
+    const results = await response.json();
+
+    const synced = results.find((result) => result.syncedLyrics);
+    if (synced) return { synced: true, lines: parseLrc(synced.syncedLyrics) };
+    const plain = results.find((result) => result.plainLyrics);
+    return plain ? { synced: false, lines: plainLines(plain.plainLyrics) } : null;
+  },
+});
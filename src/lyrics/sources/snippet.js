@@ -0,0 +1,12 @@
+import { isLrc, parseLrc, plainLines } from '../lrc';
+
+// The recommendation's own `lyricsSnippet`: always there, rarely synced
+export const createSnippetSource = () => ({
+  name: 'snippet',
+  label: 'Song card',
+  fetch: async (song) => {
+    if (!song.lyricsSnippet) return null;
+    if (isLrc(song.lyricsSnippet)) return { synced: true, lines: parseLrc(song.lyricsSnippet) };
+    return { synced: false, lines: plainLines(song.lyricsSnippet.replace(/\s+\/\s+/g, '\n')) };
+  },
+});
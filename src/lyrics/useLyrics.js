@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { songKey } from '../recommendations/parse';
+import { loadAnnotations, loadLyrics } from './lyrics';
+import { needsAnnotation } from './annotate';
+
+const EMPTY = { key: null, lyrics: null, annotations: null, annotating: false, error: '' };
+
+// Lyrics (and, where useful, their transliteration and translation) for
+// `song`, fetched while `enabled`. `loading` is true until the current song's
+// lyrics have been looked up.
+export const useLyrics = (song, { enabled = true } = {}) => {
+  const [state, setState] = useState(EMPTY);
+  const key = song ? songKey(song) : null;
+
+  useEffect(() => {
+    if (!enabled || !song) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const songId = songKey(song);
+    const update = (changes) => {
+      if (!signal.aborted) setState((current) => ({ ...current, ...changes, key: songId }));
+    };
+
+    loadLyrics(song, { signal })
+      .then(({ lyrics, annotations }) => {
+        const annotate = Boolean(lyrics && !annotations && needsAnnotation(song, lyrics.lines));
+        update({ ...EMPTY, lyrics, annotations, annotating: annotate });
+        if (!annotate) return;
+        return loadAnnotations(song, lyrics, { signal })
+          .then((result) => update({ annotations: result, annotating: false }))
+          .catch((err) => {
+            if (signal.aborted) return;
+            console.error('Lyrics translation failed', err);
+            update({ annotating: false, error: 'Translation is unavailable right now.' });
+          });
+      })
+      .catch((err) => {
+        if (signal.aborted) return;
+        console.error('Lyrics lookup failed', err);
+        update({ ...EMPTY, error: 'Lyrics could not be loaded.' });
+      });
+
+    return () => controller.abort();
+  }, [enabled, song]);
+
+  const current = state.key === key ? state : EMPTY;
+  return { ...current, loading: Boolean(enabled && song && state.key !== key) };
+};
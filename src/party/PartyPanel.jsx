@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { PartyPopper, ChevronDown, ChevronUp, LogOut, Plus, X } from 'lucide-react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { getRecommendations, selectLoading } from '../recommendations/slice';
+import { selectOnline } from '../pwa/slice';
+import { useParty } from './partyContext';
+import { selectParty } from './slice';
+import './Party.css';
+
+// Host a party or join one by code; once in, the members, and mood
+// suggestions that guests send and the host turns into more songs
+const PartyPanel = () => {
+  const dispatch = useDispatch();
+  const party = useParty();
+  const { status, role, code, members, suggestions, clientId, error } = useSelector(selectParty);
+  const loading = useSelector(selectLoading);
+  const online = useSelector(selectOnline);
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [mood, setMood] = useState('');
+  const joined = status === 'joined';
+
+  const join = (e) => {
+    e.preventDefault();
+    if (joinCode.trim()) party.join(joinCode.trim().toUpperCase(), name.trim());
+  };
+
+  const suggest = (e) => {
+    e.preventDefault();
+    if (!mood.trim()) return;
+    party.suggest(mood.trim());
+    setMood('');
+  };
+
+  const addSongs = (suggestion) => {
+    party.dismiss(suggestion.id);
+    dispatch(getRecommendations({ mood: suggestion.mood, append: true }));
+  };
+
+  return (
+    <section className="library-section party-section">
+      <div className="library-header">
+        <button className="library-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+          <PartyPopper size={18} />
+          <span>Listening Party{joined ? ` · ${code}` : ''}</span>
+          {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+        </button>
+        {joined && (
+          <button className="library-icon-btn danger" onClick={party.leave} title="Leave party" aria-label="Leave party">
+            <LogOut size={16} />
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="library-list">
+          {error && <p className="context-error" role="alert">{error}</p>}
+
+          {!joined && (
+            <div className="library-item party-start">
+              <input
+                className="glass-input small"
+                placeholder="Your name"
+                aria-label="Your name"
+                maxLength={40}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button
+                className="generate-btn secondary"
+                onClick={() => party.host(name.trim())}
+                disabled={!online || status === 'connecting'}
+              >
+                Host a party
+              </button>
+              <form className="party-form" onSubmit={join}>
+                <input
+                  className="glass-input small party-code-input"
+                  placeholder="Party code"
+                  aria-label="Party code"
+                  maxLength={5}
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value)}
+                />
+                <button type="submit" className="generate-btn secondary" disabled={!online || !joinCode.trim() || status === 'connecting'}>
+                  Join
+                </button>
+              </form>
+              {status === 'connecting' && <p className="library-item-meta">Connecting…</p>}
+            </div>
+          )}
+
+          {joined && (
+            <div className="library-item">
+              <p className="party-code">
+                {role === 'host' ? 'Share this code: ' : 'Party code: '}<strong>{code}</strong>
+              </p>
+              <p className="library-item-meta">
+                {role === 'host'
+                  ? 'Guests see your list and follow your player. Their votes show on each song.'
+                  : 'The host’s player leads. Your play, pause, skip and seek go to the host.'}
+              </p>
+              <ul className="party-members" aria-label="Party members">
+                {members.map((member) => (
+                  <li key={member.id} className="party-member">
+                    {member.name}{member.role === 'host' ? ' (host)' : ''}{member.id === clientId ? ' · you' : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {joined && role === 'guest' && (
+            <form className="party-form" onSubmit={suggest}>
+              <input
+                className="glass-input small"
+                placeholder="Suggest a mood"
+                aria-label="Suggest a mood"
+                maxLength={80}
+                value={mood}
+                onChange={(e) => setMood(e.target.value)}
+              />
+              <button type="submit" className="generate-btn secondary" disabled={!mood.trim()}>Suggest</button>
+            </form>
+          )}
+
+          {joined && suggestions.length > 0 && (
+            <ul className="library-item history-list" aria-label="Mood suggestions">
+              {suggestions.map((suggestion) => (
+                <li key={suggestion.id} className="library-track party-suggestion">
+                  <span className="library-track-title">{suggestion.mood}</span>
+                  <span className="library-track-artist">{suggestion.from}</span>
+                  {role === 'host' && (
+                    <>
+                      <button
+                        className="library-icon-btn"
+                        onClick={() => addSongs(suggestion)}
+                        disabled={loading || !online}
+                        title="Add songs for this mood"
+                        aria-label={`Add ${suggestion.mood} songs`}
+                      >
+                        <Plus size={16} />
+                      </button>
+                      <button
+                        className="library-icon-btn"
+                        onClick={() => party.dismiss(suggestion.id)}
+                        title="Dismiss suggestion"
+                        aria-label={`Dismiss ${suggestion.mood}`}
+                      >
+                        <X size={14} />
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PartyPanel;
@@ -0,0 +1,235 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useStore, useSelector } from '../store/hooks';
+import { PlayerContext, usePlayer } from '../player/playerContext';
+import {
+  closePlayer, updateQueue, selectCurrentSong, selectCurrentVideo, selectPlayback, selectPlaying,
+} from '../player/slice';
+import { songKey } from '../recommendations/parse';
+import { selectLoading } from '../recommendations/slice';
+import { selectSongs, showSongs } from '../songList/slice';
+import { announce } from '../a11y/slice';
+import { PartyContext } from './partyContext';
+import {
+  expectedPosition, partyConnecting, partyFailed, partyJoined, partyLeft, partyUpdated,
+  selectParty, selectPartyRole, selectPartyStatus, voteScores,
+} from './slice';
+
+// How far the host may drift from what it last published before it counts as a seek
+const HOST_SEEK_TOLERANCE = 3;
+// How far a guest may drift from the host before it is pulled back
+const GUEST_DRIFT_TOLERANCE = 2;
+
+const sameSong = (a, b) => Boolean(a && b) && songKey(a) === songKey(b);
+
+// Owns the party socket and keeps the local player in step with the room.
+// The host publishes its song list and playback; guests follow them, and
+// their player controls become requests that the host's player carries out.
+const PartyProvider = ({ services, children }) => {
+  const store = useStore();
+  const { dispatch, getState } = store;
+  const player = usePlayer();
+  const { controls } = player;
+  const role = useSelector(selectPartyRole);
+  const socketRef = useRef(null);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  const disconnect = useCallback((reason) => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+    dispatch(partyLeft(reason));
+  }, [dispatch]);
+
+  // Guests' requests, carried out by the host's own player
+  const onControl = useCallback(({ action, value }) => {
+    if (action === 'jump') {
+      const songs = selectSongs(getState()) ?? [];
+      if (songs[value]) dispatch(updateQueue({ type: 'replace', songs, start: value }));
+    } else if (action === 'seek') {
+      if (Number.isFinite(value)) controls.seek(value);
+    } else {
+      controls[action]?.();
+    }
+  }, [controls, dispatch, getState]);
+
+  const connect = useCallback((hello) => {
+    socketRef.current?.close();
+    dispatch(partyConnecting());
+    const socket = services.connectParty();
+    socketRef.current = socket;
+
+    socket.addEventListener('open', () => socket.send(JSON.stringify(hello)));
+    socket.addEventListener('message', (event) => {
+      if (socketRef.current !== socket) return;
+      const message = JSON.parse(event.data);
+      switch (message.type) {
+        case 'welcome':
+          dispatch(partyJoined(message));
+          dispatch(announce(message.role === 'host' ? 'Party started' : 'Joined the party'));
+          break;
+        case 'state':
+          dispatch(partyUpdated(message.party));
+          break;
+        case 'control':
+          onControl(message);
+          break;
+        case 'error':
+          // Turned away (unknown code, full room): this socket is done
+          if (selectPartyStatus(getState()) !== 'joined') {
+            socketRef.current = null;
+            socket.close();
+          }
+          dispatch(partyFailed(message.error));
+          break;
+        case 'closed':
+          disconnect(message.reason);
+          break;
+        default:
+          break;
+      }
+    });
+    socket.addEventListener('close', () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      const joined = selectPartyStatus(getState()) === 'joined';
+      dispatch(partyLeft(joined ? 'Lost the connection to the party.' : 'Could not reach the party server.'));
+    });
+  }, [services, dispatch, getState, onControl, disconnect]);
+
+  useEffect(() => () => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+  }, []);
+
+  // Host: publish the song list once it has arrived, the current song's place
+  // in it, play/pause, and seeks (the clock drifting from what was last sent)
+  useEffect(() => {
+    if (role !== 'host') return;
+    let songs = null;
+    let playback = null;
+    const publish = () => {
+      const state = getState();
+      const listed = selectSongs(state) ?? [];
+      if (listed !== songs && !selectLoading(state)) {
+        songs = listed;
+        send({ type: 'playlist', songs });
+      }
+      if (!songs) return;
+
+      const current = selectPlaying(state) ? selectCurrentSong(state) : null;
+      const index = current ? songs.findIndex((song) => sameSong(song, current)) : -1;
+      const { paused, currentTime } = selectPlayback(state);
+      const moved = index !== -1 && playback
+        && Math.abs(expectedPosition(playback) - currentTime) > HOST_SEEK_TOLERANCE;
+      if (playback && index === playback.index && paused === playback.paused && !moved) return;
+
+      // A new track starts at 0; the seek bar still shows the old one until the next poll
+      const position = playback && index !== playback.index ? 0 : currentTime;
+      playback = { index, paused, position, at: Date.now() };
+      send({ type: 'playback', index, paused, position });
+    };
+    publish();
+    return store.subscribe(publish);
+  }, [role, store, getState, send]);
+
+  // Host: when the votes change, the best-voted songs move up the queue
+  useEffect(() => {
+    if (role !== 'host') return;
+    let ranked = JSON.stringify(voteScores(selectParty(getState()).votes));
+    const rank = () => {
+      const scores = voteScores(selectParty(getState()).votes);
+      if (JSON.stringify(scores) === ranked) return;
+      ranked = JSON.stringify(scores);
+      dispatch(updateQueue({ type: 'rank', scores }));
+    };
+    return store.subscribe(rank);
+  }, [role, store, getState, dispatch]);
+
+  // Guest: show the host's list, load its current song, then match play/pause
+  // and the clock. Only changes from the host move the local queue.
+  useEffect(() => {
+    if (role !== 'guest') return;
+    let songs = null;
+    let playback = null;
+    const follow = () => {
+      const state = getState();
+      const party = selectParty(state);
+      if (party.songs !== songs) {
+        songs = party.songs;
+        dispatch(showSongs(songs));
+      }
+      const shared = party.playback;
+      const song = shared && songs[shared.index];
+      if (shared !== playback) {
+        playback = shared;
+        if (!song) {
+          if (selectPlaying(state)) dispatch(closePlayer());
+          return;
+        }
+        if (!selectPlaying(state) || !sameSong(selectCurrentSong(state), song)) {
+          dispatch(updateQueue({ type: 'replace', songs, start: shared.index }));
+          return;
+        }
+      }
+      if (!song || !selectCurrentVideo(getState()) || !sameSong(selectCurrentSong(getState()), song)) return;
+
+      const local = selectPlayback(getState());
+      if (local.paused !== shared.paused) {
+        if (shared.paused) controls.pause();
+        else controls.play();
+      }
+      const expected = expectedPosition(shared);
+      if (Math.abs(local.currentTime - expected) > GUEST_DRIFT_TOLERANCE) controls.seek(expected);
+    };
+    follow();
+    return store.subscribe(follow);
+  }, [role, store, getState, dispatch, controls]);
+
+  const party = useMemo(() => ({
+    host: (name) => connect({ type: 'create', name }),
+    join: (code, name) => connect({ type: 'join', code, name }),
+    leave: () => {
+      send({ type: 'leave' });
+      disconnect();
+    },
+    vote: (song, value) => send({ type: 'vote', key: songKey(song), value }),
+    suggest: (mood) => send({ type: 'suggest', mood }),
+    dismiss: (id) => send({ type: 'dismiss', id }),
+    // Card and "Play All" buttons: a guest asks the host to jump there
+    playFrom: (songs, start) => {
+      if (selectPartyRole(getState()) === 'guest') send({ type: 'control', action: 'jump', value: start ?? 0 });
+      else dispatch(updateQueue({ type: 'replace', songs, start }));
+    },
+  }), [connect, disconnect, send, dispatch, getState]);
+
+  // Guests' transport buttons, keys and seek bar drive the host's player;
+  // volume, mute and closing stay local
+  const guestPlayer = useMemo(() => ({
+    ...player,
+    controls: {
+      ...controls,
+      play: () => send({ type: 'control', action: 'play' }),
+      pause: () => send({ type: 'control', action: 'pause' }),
+      togglePlay: () => {
+        const shared = selectParty(getState()).playback;
+        send({ type: 'control', action: shared?.paused ? 'play' : 'pause' });
+      },
+      next: () => send({ type: 'control', action: 'next' }),
+      previous: () => send({ type: 'control', action: 'previous' }),
+      seek: (seconds) => send({ type: 'control', action: 'seek', value: seconds }),
+    },
+  }), [player, controls, send, getState]);
+
+  return (
+    <PartyContext.Provider value={party}>
+      <PlayerContext.Provider value={role === 'guest' ? guestPlayer : player}>{children}</PlayerContext.Provider>
+    </PartyContext.Provider>
+  );
+};
+
+export default PartyProvider;
@@ -0,0 +1,41 @@
+import { ArrowBigUp, ArrowBigDown } from 'lucide-react';
+import { useSelector } from '../store/hooks';
+import { useParty } from './partyContext';
+import { selectParty, selectSongVotes } from './slice';
+import './Party.css';
+
+// Up and down votes on a song card during a party; voting the same way twice takes it back
+const PartyVotes = ({ song }) => {
+  const party = useParty();
+  const { clientId } = useSelector(selectParty);
+  const votes = useSelector((state) => selectSongVotes(state, song));
+  const ballots = Object.values(votes ?? {});
+  const mine = votes?.[clientId] ?? 0;
+
+  return (
+    <div className="party-votes" role="group" aria-label={`Party votes for ${song.title}`}>
+      <button
+        className={`queue-btn ${mine > 0 ? 'active' : ''}`}
+        onClick={() => party.vote(song, mine > 0 ? 0 : 1)}
+        title="Vote up"
+        aria-label={`Vote ${song.title} up`}
+        aria-pressed={mine > 0}
+      >
+        <ArrowBigUp size={16} />
+        <span>{ballots.filter((value) => value > 0).length}</span>
+      </button>
+      <button
+        className={`queue-btn ${mine < 0 ? 'active' : ''}`}
+        onClick={() => party.vote(song, mine < 0 ? 0 : -1)}
+        title="Vote down"
+        aria-label={`Vote ${song.title} down`}
+        aria-pressed={mine < 0}
+      >
+        <ArrowBigDown size={16} />
+        <span>{ballots.filter((value) => value < 0).length}</span>
+      </button>
+    </div>
+  );
+};
+
+export default PartyVotes;
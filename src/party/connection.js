@@ -0,0 +1,11 @@
+const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || '';
+
+// The party socket sits next to the API (see server/party.js): same host,
+// with http(s) swapped for ws(s)
+export const partyUrl = (base = apiBaseUrl) => {
+  const url = new URL(`${base}/api/party`, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+};
+
+export const connectParty = () => new WebSocket(partyUrl());
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { WebSocket } from 'ws';
+import App from '../App';
+import { loadConfig } from '../../server/app.js';
+import { startServer } from '../../server/index.js';
+import { PlayerState, createFakeProvider, createFakeServices, createFakeYouTube, makeSong, resetDatabase } from '../test/fakes';
+
+const SONGS = [makeSong(1), makeSong(2), makeSong(3)];
+const MORE = [makeSong(4), makeSong(5)];
+const SLOW = { timeout: 5000 };
+
+let server;
+
+// One App per person, each with its own fakes, all talking to the real party
+// server. The `ws` client stands in for the browser's WebSocket.
+const renderApp = (provider = createFakeProvider(SONGS)) => {
+  const youtube = createFakeYouTube();
+  const url = `ws://localhost:${server.address().port}/api/party`;
+  const services = createFakeServices({ youtube, provider, connectParty: () => new WebSocket(url) });
+  const user = userEvent.setup();
+  const { container } = render(<App services={services} />);
+  return { user, youtube, provider, view: within(container) };
+};
+
+const openPanel = (person) => person.user.click(person.view.getByRole('button', { name: /Listening Party/ }));
+
+const startParty = async () => {
+  const host = renderApp(createFakeProvider(SONGS, MORE));
+  const guest = renderApp();
+
+  await host.user.click(host.view.getByRole('button', { name: 'Get Songs' }));
+  await host.view.findByText('Song 3');
+  await openPanel(host);
+  await host.user.type(host.view.getByLabelText('Your name'), 'Asha');
+  await host.user.click(host.view.getByRole('button', { name: 'Host a party' }));
+  const code = (await host.view.findByText(/Share this code/, {}, SLOW)).querySelector('strong').textContent;
+
+  await openPanel(guest);
+  await guest.user.type(guest.view.getByLabelText('Your name'), 'Ben');
+  await guest.user.type(guest.view.getByLabelText('Party code'), code.toLowerCase());
+  await guest.user.click(guest.view.getByRole('button', { name: 'Join' }));
+  await guest.view.findByText('Song 3', {}, SLOW);
+  return { host, guest };
+};
+
+const loaded = (person) => person.youtube.players[0]?.videoId;
+
+describe('listening party', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server = await startServer({ port: 0, config: loadConfig({}) });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('shares the host’s list and keeps the guest’s player on the same song and state', async () => {
+    const { host, guest } = await startParty();
+    expect(guest.view.getByRole('list', { name: 'Party members' })).toHaveTextContent('Asha (host)Ben · you');
+
+    await host.user.click(host.view.getByRole('button', { name: 'Play Song 2' }));
+    await waitFor(() => expect(loaded(host)).toBe('vid-Song 2'));
+    await waitFor(() => expect(loaded(guest)).toBe('vid-Song 2'), SLOW);
+
+    host.youtube.players[0].emit(PlayerState.PAUSED);
+    await waitFor(() => expect(guest.youtube.players[0].state).toBe(PlayerState.PAUSED), SLOW);
+
+    // A guest's Play asks the host, and the guest follows where the host went
+    await guest.user.click(guest.view.getByRole('button', { name: 'Play Song 3' }));
+    await waitFor(() => expect(loaded(host)).toBe('vid-Song 3'), SLOW);
+    await waitFor(() => expect(loaded(guest)).toBe('vid-Song 3'), SLOW);
+    expect(guest.youtube.players[0].loaded).toEqual(['vid-Song 2', 'vid-Song 3']);
+  });
+
+  it('shows guest votes to the host and turns a suggested mood into more songs', async () => {
+    const { host, guest } = await startParty();
+
+    await guest.user.click(guest.view.getByRole('button', { name: 'Vote Song 1 up' }));
+    await waitFor(() => expect(host.view.getByRole('button', { name: 'Vote Song 1 up' })).toHaveTextContent('1'), SLOW);
+    expect(guest.view.getByRole('button', { name: 'Vote Song 1 up' })).toHaveAttribute('aria-pressed', 'true');
+
+    await guest.user.type(guest.view.getByLabelText('Suggest a mood'), 'Rainy evening');
+    await guest.user.click(guest.view.getByRole('button', { name: 'Suggest' }));
+    await host.user.click(await host.view.findByRole('button', { name: 'Add Rainy evening songs' }, SLOW));
+
+    await guest.view.findByText('Song 5', {}, SLOW);
+    expect(host.provider.calls.at(-1).mood).toBe('Rainy evening');
+    expect(host.view.getAllByRole('listitem').filter((item) => item.classList.contains('song-card'))).toHaveLength(5);
+    expect(host.view.queryByRole('list', { name: 'Mood suggestions' })).not.toBeInTheDocument();
+  });
+
+  it('moves the songs guests vote up to the front of the host’s queue', async () => {
+    const { host, guest } = await startParty();
+    // The list is topped up to five songs; the audio bar is where Up Next lives
+    await guest.view.findByText('Song 5', {}, SLOW);
+    await host.user.click(host.view.getByRole('button', { name: /Video Mode/ }));
+    await host.user.click(host.view.getByRole('button', { name: 'Play All' }));
+    await host.user.click(await host.view.findByRole('button', { name: 'Up next' }, SLOW));
+    const upNext = () => [...host.view.getByRole('list', { name: 'Up Next' }).querySelectorAll('.up-next-title')]
+      .map((title) => title.textContent);
+    const before = upNext();
+    const [first, , third] = before;
+    expect(before).toHaveLength(4);
+
+    await guest.user.click(guest.view.getByRole('button', { name: `Vote ${third} up` }));
+    await waitFor(() => expect(upNext()).toEqual([third, ...before.filter((title) => title !== third)]), SLOW);
+    await guest.user.click(guest.view.getByRole('button', { name: `Vote ${first} down` }));
+    const rest = before.filter((title) => title !== first && title !== third);
+    await waitFor(() => expect(upNext()).toEqual([third, ...rest, first]), SLOW);
+
+    // Taking the votes back restores the list order
+    await guest.user.click(guest.view.getByRole('button', { name: `Vote ${third} up` }));
+    await guest.user.click(guest.view.getByRole('button', { name: `Vote ${first} down` }));
+    await waitFor(() => expect(upNext()).toEqual(before), SLOW);
+  });
+
+  it('tells guests when the host leaves, and turns away unknown codes', async () => {
+    const { host, guest } = await startParty();
+
+    await host.user.click(host.view.getByRole('button', { name: 'Leave party' }));
+    expect(await guest.view.findByText('The host ended the party.', {}, SLOW)).toBeInTheDocument();
+
+    await guest.user.type(guest.view.getByLabelText('Party code'), 'ZZZZZ');
+    await guest.user.click(guest.view.getByRole('button', { name: 'Join' }));
+    expect(await guest.view.findByText('No party with that code.', {}, SLOW)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+// Actions that go through the party socket: hosting, joining, votes,
+// suggestions, and starting a song (a guest asks the host instead of playing it)
+export const PartyContext = createContext(null);
+
+export const useParty = () => {
+  const party = useContext(PartyContext);
+  if (!party) throw new Error('useParty must be used inside <PartyProvider>');
+  return party;
+};
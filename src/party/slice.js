@@ -0,0 +1,79 @@
+import { songKey } from '../recommendations/parse';
+
+// A listening party as this tab sees it. The socket lives in PartyProvider;
+// `songs` and `playback` are what the server last relayed from the host's
+// player, with `playback.at` already moved onto this tab's clock.
+export const initialState = {
+  status: 'idle',
+  role: null,
+  clientId: null,
+  code: '',
+  members: [],
+  songs: [],
+  playback: null,
+  votes: {},
+  suggestions: [],
+  error: '',
+};
+
+const sameSongs = (a, b) => a.length === b.length && a.every((song, i) => songKey(song) === songKey(b[i]));
+const samePlayback = (a, b) => Boolean(a && b)
+  && a.index === b.index && a.paused === b.paused && a.position === b.position && a.at === b.at;
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'party/connecting':
+      return { ...initialState, status: 'connecting' };
+    case 'party/joined':
+      return { ...state, status: 'joined', role: action.role, clientId: action.clientId, error: '' };
+    case 'party/updated': {
+      const { code, members, songs, playback, votes, suggestions } = action.party;
+      // Every change is broadcast as a full snapshot; keeping the old songs and
+      // playback when they didn't move stops guests from re-syncing on each vote
+      return {
+        ...state,
+        code,
+        members,
+        votes,
+        suggestions,
+        songs: sameSongs(state.songs, songs) ? state.songs : songs,
+        playback: samePlayback(state.playback, playback) ? state.playback : playback,
+      };
+    }
+    case 'party/failed':
+      // Refused before we got in (bad code, full room): back to the start
+      return state.status === 'joined' ? { ...state, error: action.error } : { ...initialState, error: action.error };
+    case 'party/left':
+      return { ...initialState, error: action.reason };
+    default:
+      return state;
+  }
+};
+
+export const partyConnecting = () => ({ type: 'party/connecting' });
+export const partyJoined = ({ role, clientId }) => ({ type: 'party/joined', role, clientId });
+// Server timestamps are turned into local ones using the `now` sent alongside
+export const partyUpdated = (party, receivedAt = Date.now()) => ({
+  type: 'party/updated',
+  party: { ...party, playback: { ...party.playback, at: party.playback.at - party.now + receivedAt } },
+});
+export const partyFailed = (error) => ({ type: 'party/failed', error });
+export const partyLeft = (reason = '') => ({ type: 'party/left', reason });
+
+export const selectParty = (state) => state.party;
+export const selectPartyStatus = (state) => state.party.status;
+export const selectPartyRole = (state) => (state.party.status === 'joined' ? state.party.role : null);
+export const selectIsGuest = (state) => selectPartyRole(state) === 'guest';
+export const selectPartySongs = (state) => state.party.songs;
+export const selectPartyPlayback = (state) => state.party.playback;
+// `{ [clientId]: 1 | -1 }` for one song, or undefined before anyone voted
+export const selectSongVotes = (state, song) => state.party.votes[songKey(song)];
+
+// Net votes per song key, for songs whose up and down votes don't cancel out
+export const voteScores = (votes) => Object.fromEntries(Object.entries(votes)
+  .map(([key, ballots]) => [key, Object.values(ballots).reduce((sum, value) => sum + value, 0)])
+  .filter(([, score]) => score !== 0));
+
+// Where the host's player should be right now, in seconds
+export const expectedPosition = (playback, now = Date.now()) =>
+  (playback.paused ? playback.position : playback.position + Math.max(0, now - playback.at) / 1000);
@@ -0,0 +1,166 @@
+import { useRef } from 'react';
+import { ListMusic, MicVocal, X } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useDispatch, useSelector } from '../store/hooks';
+import { selectAudioOnly } from '../settings/slice';
+import LyricsPanel from '../lyrics/LyricsPanel';
+import PlayerControls from './PlayerControls';
+import UpNext from './UpNext';
+import { usePlayer } from './playerContext';
+import { useSplitView } from './useSplitView';
+import { useFocusTrap } from '../a11y/useFocusTrap';
+import { useKeyboardShortcuts } from '../a11y/useKeyboardShortcuts';
+import {
+  selectCurrentSong, selectPlayerOpen, selectPlaying, selectShowLyrics, selectShowQueue, setLyricsOpen, toggleQueuePanel,
+} from './slice';
+import '../PlayButton.css';
+
+const LyricsButton = () => {
+  const dispatch = useDispatch();
+  return (
+    <button className="player-btn" onClick={() => dispatch(setLyricsOpen(true))} title="Lyrics" aria-label="Show lyrics">
+      <MicVocal size={20} />
+    </button>
+  );
+};
+
+const AudioBar = ({ song }) => {
+  const dispatch = useDispatch();
+  const { controls } = usePlayer();
+  const showQueue = useSelector(selectShowQueue);
+
+  return (
+    <motion.div
+      initial={{ y: 100 }}
+      animate={{ y: 0 }}
+      exit={{ y: 100 }}
+      className="audio-only-bar"
+      role="region"
+      aria-label="Audio player"
+    >
+      <div className="now-playing-info">
+        <span className="now-playing-title">{song ? song.title : 'Playing...'}</span>
+        <span className="now-playing-artist">{song ? song.artist : ''}</span>
+      </div>
+
+      <PlayerControls />
+
+      <div className="audio-controls">
+        <div className="lyrics-preview-bar" onClick={() => dispatch(setLyricsOpen(true))} title="Show full lyrics" aria-hidden="true">
+          {song && song.lyricsSnippet ? `"${song.lyricsSnippet}"` : '🎵 Audio Mode Active'}
+        </div>
+        <LyricsButton />
+        <button
+          className={`player-btn ${showQueue ? 'active' : ''}`}
+          onClick={() => dispatch(toggleQueuePanel())}
+          title="Up Next"
+          aria-label="Up next"
+          aria-expanded={showQueue}
+        >
+          <ListMusic size={20} />
+        </button>
+        <button className="close-audio-btn" onClick={controls.close} aria-label="Close player">
+          <X size={24} />
+        </button>
+      </div>
+      {showQueue && (
+        <div className="audio-queue-panel">
+          <UpNext />
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+// The audio bar, the video modal and the full-screen lyrics, all showing the one player
+const Player = () => {
+  const dispatch = useDispatch();
+  const { hostRef, getCurrentTime, controls } = usePlayer();
+  const song = useSelector(selectCurrentSong);
+  const open = useSelector(selectPlayerOpen);
+  const playing = useSelector(selectPlaying);
+  const audioOnly = useSelector(selectAudioOnly);
+  const showLyrics = useSelector(selectShowLyrics);
+  const modalRef = useRef(null);
+  const splitView = useSplitView();
+
+  // On narrow screens the video covers the page, so it behaves as a modal
+  // dialog; in the split view it is a region beside the list.
+  const video = open && !audioOnly;
+  const modal = video && !splitView;
+  useFocusTrap(modalRef, { active: video, trap: modal, onEscape: controls.close });
+
+  useKeyboardShortcuts({
+    Space: () => open && controls.togglePlay(),
+    n: () => open && controls.next(),
+    p: () => open && controls.previous(),
+  });
+
+  return (
+    <>
+      <AnimatePresence>
+        {open && audioOnly && <AudioBar song={song} />}
+      </AnimatePresence>
+
+      {/* Always mounted so the YouTube player inside survives track changes and
+          audio/video toggles; in audio mode it is shrunk out of sight and inert. */}
+      <motion.div
+        animate={{ opacity: video ? 1 : 0 }}
+        className={`player-overlay ${open ? 'open' : ''} ${audioOnly ? 'audio-mode' : ''}`}
+        onClick={controls.close}
+      >
+        <div
+          ref={modalRef}
+          className="player-modal"
+          onClick={(e) => e.stopPropagation()}
+          role={modal ? 'dialog' : 'region'}
+          aria-modal={modal || undefined}
+          aria-labelledby="player-title"
+          inert={!video}
+          tabIndex={-1}
+        >
+          {!audioOnly && (
+            <div className="modal-header">
+              <h2 id="player-title">{song ? song.title : 'Now Playing'}</h2>
+              <div className="modal-header-actions">
+                <LyricsButton />
+                <button className="close-btn" onClick={controls.close} aria-label="Close player" aria-keyshortcuts="Escape">
+                  <X size={24} />
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div id="youtube-player" className="player-frame" ref={hostRef} />
+
+          {!audioOnly && (
+            <>
+              <div className="modal-controls">
+                <PlayerControls />
+              </div>
+
+              {song && song.lyricsSnippet && (
+                <div className="modal-lyrics">
+                  <p className="modal-lyrics-label">Lyrics Snippet</p>
+                  <p className="modal-lyrics-text">"{song.lyricsSnippet}"</p>
+                </div>
+              )}
+
+              <UpNext />
+            </>
+          )}
+        </div>
+      </motion.div>
+
+      <LyricsPanel
+        song={song}
+        open={showLyrics && playing}
+        onClose={() => dispatch(setLyricsOpen(false))}
+        getCurrentTime={getCurrentTime}
+        onSeek={controls.seek}
+      />
+    </>
+  );
+};
+
+export default Player;
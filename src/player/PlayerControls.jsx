@@ -0,0 +1,106 @@
+import { Play, Pause, SkipBack, SkipForward, Shuffle, Repeat, Repeat1, Volume2, VolumeX } from 'lucide-react';
+import { nextPosition } from './queue';
+import { useSelector } from '../store/hooks';
+import { usePlayer } from './playerContext';
+import { selectPlayback, selectQueue } from './slice';
+import './Player.css';
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const REPEAT_TITLES = { off: 'Repeat off', all: 'Repeat all', one: 'Repeat one' };
+
+const PlayerControls = () => {
+  const queue = useSelector(selectQueue);
+  const playback = useSelector(selectPlayback);
+  const { controls: actions } = usePlayer();
+  const { paused, currentTime, duration, volume, muted } = playback;
+
+  return (
+    <div className="player-controls">
+      <div className="player-buttons">
+        <button
+          className={`player-btn ${queue.shuffle ? 'active' : ''}`}
+          onClick={actions.toggleShuffle}
+          title={queue.shuffle ? 'Shuffle on' : 'Shuffle off'}
+          aria-label="Shuffle"
+          aria-pressed={queue.shuffle}
+        >
+          <Shuffle size={18} />
+        </button>
+        <button className="player-btn" onClick={actions.previous} title="Previous" aria-label="Previous" aria-keyshortcuts="P">
+          <SkipBack size={20} fill="currentColor" />
+        </button>
+        <button
+          className="player-btn primary"
+          onClick={actions.togglePlay}
+          title={paused ? 'Play' : 'Pause'}
+          aria-label={paused ? 'Play' : 'Pause'}
+          aria-keyshortcuts="Space"
+        >
+          {paused ? <Play size={22} fill="currentColor" /> : <Pause size={22} fill="currentColor" />}
+        </button>
+        <button
+          className="player-btn"
+          onClick={actions.next}
+          disabled={nextPosition(queue) === -1}
+          title="Next"
+          aria-label="Next"
+          aria-keyshortcuts="N"
+        >
+          <SkipForward size={20} fill="currentColor" />
+        </button>
+        <button
+          className={`player-btn ${queue.repeat !== 'off' ? 'active' : ''}`}
+          onClick={actions.cycleRepeat}
+          title={REPEAT_TITLES[queue.repeat]}
+          aria-label={REPEAT_TITLES[queue.repeat]}
+        >
+          {queue.repeat === 'one' ? <Repeat1 size={18} /> : <Repeat size={18} />}
+        </button>
+      </div>
+
+      <div className="player-seek">
+        <span className="player-time">{formatTime(currentTime)}</span>
+        <input
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={1}
+          value={Math.min(currentTime, duration || 0)}
+          onChange={(e) => actions.seek(Number(e.target.value))}
+          className="player-range"
+          aria-label="Seek"
+          aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
+        />
+        <span className="player-time">{formatTime(duration)}</span>
+      </div>
+
+      <div className="player-volume">
+        <button
+          className="player-btn"
+          onClick={actions.toggleMute}
+          title={muted ? 'Unmute' : 'Mute'}
+          aria-label="Mute"
+          aria-pressed={muted}
+        >
+          {muted || volume === 0 ? <VolumeX size={18} /> : <Volume2 size={18} />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={muted ? 0 : volume}
+          onChange={(e) => actions.setVolume(Number(e.target.value))}
+          className="player-range volume"
+          aria-label="Volume"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PlayerControls;
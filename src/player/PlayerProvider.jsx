@@ -0,0 +1,136 @@
+import { useEffect, useMemo } from 'react';
+import { useStore, useSelector } from '../store/hooks';
+import { PlayerContext } from './playerContext';
+import { useYouTubePlayer } from './useYouTubePlayer';
+import { useMediaSession } from './useMediaSession';
+import {
+  closePlayer, openFallback, playSong, playbackChanged, prefetchUpcoming, updateQueue,
+  selectCurrentSong, selectCurrentVideo, selectPlayback, selectPlaying, selectQueue,
+} from './slice';
+
+// Drives the app's single YT.Player from the store: every queue transition
+// that bumps `playId` loads a track, and stopping or closing stops the video.
+const PlayerProvider = ({ services, children }) => {
+  const store = useStore();
+  const { dispatch, getState } = store;
+  const playing = useSelector(selectPlaying);
+  const currentVideo = useSelector(selectCurrentVideo);
+  const currentSong = useSelector(selectCurrentSong);
+  const playback = useSelector(selectPlayback);
+
+  const youtube = useYouTubePlayer({
+    onReady: (player) => {
+      const { volume, muted } = selectPlayback(getState());
+      player.setVolume(volume);
+      if (muted) player.mute();
+    },
+    onStateChange: (event, YT) => {
+      const { ENDED, PLAYING, PAUSED } = YT.PlayerState;
+      if (event.data === ENDED) {
+        dispatch(updateQueue({ type: 'ended' }));
+      } else if (event.data === PLAYING || event.data === PAUSED) {
+        dispatch(playbackChanged({ paused: event.data === PAUSED }));
+      }
+    },
+    // The video was removed, is private or can't be embedded: same fallback as a failed search
+    onError: (event) => {
+      console.warn(`YouTube player error ${event.data}, opening fallback.`);
+      const song = selectCurrentSong(getState());
+      if (song) dispatch(openFallback(song));
+    },
+    loadApi: services.loadYouTubeApi,
+  });
+
+  useEffect(() => {
+    let previous = selectQueue(getState());
+    return store.subscribe(() => {
+      const next = selectQueue(getState());
+      if (next === previous) return;
+      const before = previous;
+      previous = next;
+
+      if (next.playId === before.playId || next.current === -1) return;
+      const entry = next.items[next.current];
+      if (!entry) return;
+      if (entry.id === before.items[before.current]?.id && youtube.isReady()) {
+        // Same track again (repeat one, or previous at the start of the queue)
+        youtube.seekTo(0);
+        youtube.play();
+      } else {
+        dispatch(playSong(entry.song)).then((videoId) => videoId && youtube.load(videoId));
+      }
+      dispatch(prefetchUpcoming());
+    });
+  }, [store, dispatch, getState, youtube]);
+
+  useEffect(() => {
+    if (!playing) youtube.stop();
+  }, [playing, youtube]);
+
+  // Poll the player for the seek bar while something is loaded
+  useEffect(() => {
+    if (!playing || !currentVideo) return;
+    const timer = setInterval(() => {
+      if (!youtube.isReady()) return;
+      dispatch(playbackChanged({ currentTime: youtube.getCurrentTime(), duration: youtube.getDuration() }));
+    }, 500);
+    return () => clearInterval(timer);
+  }, [playing, currentVideo, youtube, dispatch]);
+
+  // Only touches the player and the store, so the object is stable
+  const controls = useMemo(() => {
+    const seek = (seconds) => {
+      youtube.seekTo(seconds);
+      dispatch(playbackChanged({ currentTime: seconds }));
+    };
+    return {
+      play: () => youtube.play(),
+      pause: () => youtube.pause(),
+      togglePlay: () => {
+        if (selectPlayback(getState()).paused) youtube.play();
+        else youtube.pause();
+      },
+      next: () => dispatch(updateQueue({ type: 'next' })),
+      previous: () => {
+        // Like most players: restart the track unless we're at its very beginning
+        if (youtube.isReady() && selectPlayback(getState()).currentTime > 3) {
+          youtube.seekTo(0);
+        } else {
+          dispatch(updateQueue({ type: 'previous' }));
+        }
+      },
+      seek,
+      setVolume: (volume) => {
+        youtube.setVolume(volume);
+        youtube.unMute();
+        dispatch(playbackChanged({ volume, muted: false }));
+      },
+      toggleMute: () => {
+        const { muted } = selectPlayback(getState());
+        if (muted) youtube.unMute();
+        else youtube.mute();
+        dispatch(playbackChanged({ muted: !muted }));
+      },
+      toggleShuffle: () => dispatch(updateQueue({ type: 'toggleShuffle' })),
+      cycleRepeat: () => dispatch(updateQueue({ type: 'cycleRepeat' })),
+      close: () => dispatch(closePlayer()),
+    };
+  }, [youtube, dispatch, getState]);
+
+  useMediaSession({
+    song: playing ? currentSong : null,
+    videoId: currentVideo,
+    playback,
+    actions: { ...controls, stop: controls.close },
+  });
+
+  const value = useMemo(() => ({
+    hostRef: youtube.hostRef,
+    getCurrentTime: youtube.getCurrentTime,
+    controls,
+  }), [youtube, controls]);
+
+  return <PlayerContext.Provider value={value}>{children}</PlayerContext.Provider>;
+};
+
+export default PlayerProvider;
@@ -0,0 +1,44 @@
+import { X } from 'lucide-react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { selectQueue, updateQueue } from './slice';
+import './Player.css';
+
+const UpNext = () => {
+  const dispatch = useDispatch();
+  const queue = useSelector(selectQueue);
+  const upcoming = queue.items
+    .map((entry, position) => ({ entry, position }))
+    .filter(({ position }) => position > queue.current);
+
+  return (
+    <div className="up-next">
+      <p className="up-next-label" id="up-next-label">Up Next</p>
+      {upcoming.length === 0 ? (
+        <p className="up-next-empty">
+          {queue.repeat === 'all' ? 'The queue will start over.' : 'Nothing queued.'}
+        </p>
+      ) : (
+        <ol aria-labelledby="up-next-label">
+          {upcoming.map(({ entry, position }) => (
+            <li key={entry.id} className="up-next-item">
+              <button className="up-next-song" onClick={() => dispatch(updateQueue({ type: 'jump', position }))}>
+                <span className="up-next-title">{entry.song.title}</span>
+                <span className="up-next-artist">{entry.song.artist}</span>
+              </button>
+              <button
+                className="player-btn"
+                onClick={() => dispatch(updateQueue({ type: 'remove', position }))}
+                title="Remove from queue"
+                aria-label={`Remove ${entry.song.title} from queue`}
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default UpNext;
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+// The YT.Player host element and the controls that need the player itself;
+// everything else about playback is read from the store.
+export const PlayerContext = createContext(null);
+
+export const usePlayer = () => {
+  const player = useContext(PlayerContext);
+  if (!player) throw new Error('usePlayer must be used inside <PlayerProvider>');
+  return player;
+};
@@ -0,0 +1,115 @@
+import { songKey } from '../recommendations/parse';
+
+// Pure playback queue state. Every transition that should start a track
+// bumps `playId`, which is how the app knows to load a new video.
+//
+// Entries keep an `order` key so turning shuffle off can restore the
+// original sequence, including tracks added with "play next" or "add to queue".
+
+let nextEntryId = 1;
+const makeEntry = (song, order) => ({ id: nextEntryId++, song, order });
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+export const initialQueue = { items: [], current: -1, shuffle: false, repeat: 'off', playId: 0 };
+
+const shuffled = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const play = (state, current) => ({ ...state, current, playId: state.playId + 1 });
+
+export const nextPosition = (state) => {
+  if (state.current + 1 < state.items.length) return state.current + 1;
+  if (state.repeat === 'all' && state.items.length > 0) return 0;
+  return -1;
+};
+
+export const queueReducer = (state, action) => {
+  switch (action.type) {
+    case 'replace': {
+      const items = action.songs.map((song, i) => makeEntry(song, i));
+      if (!state.shuffle) return play({ ...state, items }, action.start ?? 0);
+      if (action.start === undefined) return play({ ...state, items: shuffled(items) }, 0);
+      const [first] = items.splice(action.start, 1);
+      return play({ ...state, items: [first, ...shuffled(items)] }, 0);
+    }
+
+    case 'enqueue': {
+      const maxOrder = Math.max(-1, ...state.items.map((item) => item.order));
+      const items = [...state.items, makeEntry(action.song, maxOrder + 1)];
+      return state.current === -1 ? play({ ...state, items }, items.length - 1) : { ...state, items };
+    }
+
+    case 'playNext': {
+      if (state.current === -1) return queueReducer(state, { type: 'enqueue', song: action.song });
+      const current = state.items[state.current];
+      const following = state.items[state.current + 1];
+      const order = following ? (current.order + following.order) / 2 : current.order + 1;
+      const items = [...state.items];
+      items.splice(state.current + 1, 0, makeEntry(action.song, order));
+      return { ...state, items };
+    }
+
+    case 'next': {
+      const position = nextPosition(state);
+      return position === -1 ? state : play(state, position);
+    }
+
+    case 'previous': {
+      if (state.items.length === 0) return state;
+      if (state.current > 0) return play(state, state.current - 1);
+      if (state.repeat === 'all' && state.items.length > 0) return play(state, state.items.length - 1);
+      return play(state, Math.max(state.current, 0));
+    }
+
+    case 'ended': {
+      if (state.repeat === 'one') return play(state, state.current);
+      const position = nextPosition(state);
+      return position === -1 ? state : play(state, position);
+    }
+
+    case 'jump':
+      return play(state, action.position);
+
+    case 'remove': {
+      if (action.position === state.current) return state;
+      const items = state.items.filter((_, i) => i !== action.position);
+      const current = action.position < state.current ? state.current - 1 : state.current;
+      return { ...state, items, current };
+    }
+
+    // Upcoming tracks by descending score (`scores` maps song keys to numbers,
+    // e.g. party votes); ties keep the original order, or their place when shuffled
+    case 'rank': {
+      const score = (entry) => action.scores[songKey(entry.song)] ?? 0;
+      const head = state.items.slice(0, state.current + 1);
+      const rest = state.items.slice(state.current + 1)
+        .sort((a, b) => score(b) - score(a) || (state.shuffle ? 0 : a.order - b.order));
+      return { ...state, items: [...head, ...rest] };
+    }
+
+    case 'toggleShuffle': {
+      const head = state.items.slice(0, state.current + 1);
+      const rest = state.items.slice(state.current + 1);
+      const items = state.shuffle
+        ? [...head, ...rest.sort((a, b) => a.order - b.order)]
+        : [...head, ...shuffled(rest)];
+      return { ...state, items, shuffle: !state.shuffle };
+    }
+
+    case 'cycleRepeat':
+      return { ...state, repeat: REPEAT_MODES[(REPEAT_MODES.indexOf(state.repeat) + 1) % REPEAT_MODES.length] };
+
+    case 'clear':
+      return { ...initialQueue, shuffle: state.shuffle, repeat: state.repeat, playId: state.playId };
+
+    default:
+      return state;
+  }
+};
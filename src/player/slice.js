@@ -0,0 +1,117 @@
+import { initialQueue, queueReducer } from './queue';
+import { prefetchVideos, youtubeSearchUrl } from '../video/resolver';
+import { recordPlay } from '../history/slice';
+import { selectActiveMood, selectLanguage } from '../recommendations/slice';
+import { announce } from '../a11y/slice';
+import { selectVideoType } from '../settings/slice';
+
+// How many upcoming queue entries get their videos resolved in the background
+const PREFETCH_AHEAD = 3;
+
+// The YT.Player itself lives in PlayerProvider; this is everything the UI
+// shows about it. `playing` means a track was started and not stopped or closed.
+export const initialState = {
+  queue: initialQueue,
+  currentVideo: null,
+  playing: false,
+  playback: { paused: false, currentTime: 0, duration: 0, volume: 100, muted: false },
+  showQueue: false,
+  showLyrics: false,
+  // The API server's YouTube quota count, null until it answers
+  quota: null,
+};
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'player/queue':
+      return { ...state, queue: queueReducer(state.queue, action.action) };
+    case 'player/started':
+      return { ...state, playing: true };
+    case 'player/videoLoaded':
+      return { ...state, currentVideo: action.videoId };
+    case 'player/stopped':
+      return { ...state, playing: false };
+    case 'player/closed':
+      return {
+        ...state,
+        playing: false,
+        currentVideo: null,
+        showQueue: false,
+        showLyrics: false,
+        queue: queueReducer(state.queue, { type: 'clear' }),
+      };
+    case 'player/playback':
+      return { ...state, playback: { ...state.playback, ...action.changes } };
+    case 'player/toggleQueuePanel':
+      return { ...state, showQueue: !state.showQueue };
+    case 'player/setLyricsOpen':
+      return { ...state, showLyrics: action.open };
+    case 'player/quota':
+      return { ...state, quota: action.quota };
+    default:
+      return state;
+  }
+};
+
+// Queue transitions take a queueReducer action, e.g. { type: 'playNext', song }
+export const updateQueue = (action) => ({ type: 'player/queue', action });
+export const playbackChanged = (changes) => ({ type: 'player/playback', changes });
+export const closePlayer = () => ({ type: 'player/closed' });
+export const toggleQueuePanel = () => ({ type: 'player/toggleQueuePanel' });
+export const setLyricsOpen = (open) => ({ type: 'player/setLyricsOpen', open });
+export const refreshQuota = () => async (dispatch, getState, { services }) => {
+  try {
+    dispatch({ type: 'player/quota', quota: await services.getQuota() });
+  } catch (err) {
+    console.warn('Could not load the YouTube quota', err);
+  }
+};
+
+export const selectQueue = (state) => state.player.queue;
+export const selectCurrentSongIndex = (state) => state.player.queue.current;
+export const selectCurrentSong = ({ player: { queue } }) => queue.items[queue.current]?.song ?? null;
+export const selectCurrentVideo = (state) => state.player.currentVideo;
+export const selectPlaying = (state) => state.player.playing;
+export const selectPlayerOpen = (state) => state.player.playing && Boolean(state.player.currentVideo);
+export const selectPlayback = (state) => state.player.playback;
+export const selectShowQueue = (state) => state.player.showQueue;
+export const selectShowLyrics = (state) => state.player.showLyrics;
+export const selectQuota = (state) => state.player.quota;
+
+// No key, quota spent, nothing found, network trouble or an unplayable video:
+// open a YouTube search instead
+export const openFallback = (song) => (dispatch, getState, { services }) => {
+  dispatch({ type: 'player/stopped' });
+  dispatch(announce(`Opening a YouTube search for ${song.title}`));
+  services.openUrl(youtubeSearchUrl(song));
+};
+
+// Resolves the song's video (of the kind picked in the settings) and resolves
+// to its id, or null after falling back. A video that arrives after the player
+// was closed or moved on to another track is dropped, also resolving to null.
+export const playSong = (song) => async (dispatch, getState, { services }) => {
+  dispatch({ type: 'player/started' });
+  const state = getState();
+  const { playId } = selectQueue(state);
+  dispatch(recordPlay({ song, mood: selectActiveMood(state), language: selectLanguage(state) }));
+
+  const { videoId, reason, source } = await services.resolveVideo(song, { videoType: selectVideoType(state) });
+  if (source !== 'cache') dispatch(refreshQuota());
+  if (!selectPlaying(getState()) || selectQueue(getState()).playId !== playId) return null;
+
+  if (videoId) {
+    dispatch({ type: 'player/videoLoaded', videoId });
+    dispatch(announce(`Now playing ${song.title} by ${song.artist}`));
+    return videoId;
+  }
+  console.warn(`Could not resolve a video (${reason}), opening fallback.`);
+  dispatch(openFallback(song));
+  return null;
+};
+
+export const prefetchUpcoming = () => (dispatch, getState, { services }) => {
+  const { items, current } = selectQueue(getState());
+  const songs = items.slice(current + 1, current + 1 + PREFETCH_AHEAD).map((item) => item.song);
+  return prefetchVideos(songs, { resolve: services.resolveVideo, videoType: selectVideoType(getState()) })
+    .then(() => dispatch(refreshQuota()));
+};
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+
+const supported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+const setHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch {
+    // The browser doesn't know this action
+  }
+};
+
+// Lets lock screens, notifications and hardware media keys drive the player,
+// which matters most in audio mode where the video is out of sight.
+// `actions` needs play, pause, next, previous, seek(seconds) and stop.
+export const useMediaSession = ({ song, videoId, playback, actions }) => {
+  const actionsRef = useRef(actions);
+  const playbackRef = useRef(playback);
+
+  useEffect(() => {
+    actionsRef.current = actions;
+    playbackRef.current = playback;
+  });
+
+  useEffect(() => {
+    if (!supported()) return;
+    const seekBy = (offset) => actionsRef.current.seek(Math.max(0, playbackRef.current.currentTime + offset));
+    const handlers = {
+      play: () => actionsRef.current.play(),
+      pause: () => actionsRef.current.pause(),
+      nexttrack: () => actionsRef.current.next(),
+      previoustrack: () => actionsRef.current.previous(),
+      seekto: (details) => actionsRef.current.seek(details.seekTime),
+      seekbackward: (details) => seekBy(-(details.seekOffset || 10)),
+      seekforward: (details) => seekBy(details.seekOffset || 10),
+      stop: () => actionsRef.current.stop(),
+    };
+    Object.entries(handlers).forEach(([action, handler]) => setHandler(action, handler));
+    return () => Object.keys(handlers).forEach((action) => setHandler(action, null));
+  }, []);
+
+  useEffect(() => {
+    if (!supported()) return;
+    navigator.mediaSession.metadata = song
+      ? new window.MediaMetadata({
+        title: song.title,
+        artist: song.artist,
+        album: 'SariGama',
+        artwork: videoId ? [{ src: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`, sizes: '480x360', type: 'image/jpeg' }] : [],
+      })
+      : null;
+  }, [song, videoId]);
+
+  useEffect(() => {
+    if (!supported()) return;
+    navigator.mediaSession.playbackState = !song ? 'none' : playback.paused ? 'paused' : 'playing';
+  }, [song, playback.paused]);
+
+  useEffect(() => {
+    if (!supported() || !navigator.mediaSession.setPositionState || !(playback.duration > 0)) return;
+    navigator.mediaSession.setPositionState({
+      duration: playback.duration,
+      position: Math.min(playback.currentTime, playback.duration),
+      playbackRate: 1,
+    });
+  }, [playback.currentTime, playback.duration]);
+};
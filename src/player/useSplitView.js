@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+
+// Same breakpoint as the split view in App.css, where the video sits beside
+// the song list instead of over it
+const SPLIT_VIEW_QUERY = '(min-width: 1024px)';
+
+const media = () => (typeof window.matchMedia === 'function' ? window.matchMedia(SPLIT_VIEW_QUERY) : null);
+
+const subscribe = (onChange) => {
+  const query = media();
+  query?.addEventListener('change', onChange);
+  return () => query?.removeEventListener('change', onChange);
+};
+
+export const useSplitView = () => useSyncExternalStore(subscribe, () => Boolean(media()?.matches));
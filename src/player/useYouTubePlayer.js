@@ -0,0 +1,100 @@
+import { useEffect, useMemo, useRef } from 'react';
+
+let apiPromise;
+
+// Loads the YouTube IFrame API once per page, however many times it's asked for.
+export const loadYouTubeApi = () => {
+  if (!apiPromise) {
+    apiPromise = new Promise((resolve) => {
+      if (window.YT && window.YT.Player) {
+        resolve(window.YT);
+        return;
+      }
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        previousCallback?.();
+        resolve(window.YT);
+      };
+      const tag = document.createElement('script');
+      tag.src = 'https://www.youtube.com/iframe_api';
+      const firstScriptTag = document.getElementsByTagName('script')[0];
+      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+    });
+  }
+  return apiPromise;
+};
+
+// Owns the app's single YT.Player. It is created on the first `load` inside
+// the element attached to `hostRef`, which must stay mounted for as long as
+// playback should continue; tracks are switched with loadVideoById.
+// onStateChange gets the YT namespace along with the event, for YT.PlayerState.
+// `loadApi` stands in for the IFrame API loader in tests; it is read once.
+export const useYouTubePlayer = ({ onReady, onStateChange, onError, loadApi = loadYouTubeApi } = {}) => {
+  const hostRef = useRef(null);
+  const playerRef = useRef(null);
+  const readyRef = useRef(null);
+  const loadApiRef = useRef(loadApi);
+  const callbacksRef = useRef({ onReady, onStateChange, onError });
+
+  useEffect(() => {
+    callbacksRef.current = { onReady, onStateChange, onError };
+  });
+
+  useEffect(() => {
+    loadApiRef.current();
+  }, []);
+
+  useEffect(() => () => {
+    playerRef.current?.destroy();
+    playerRef.current = null;
+    readyRef.current = null;
+  }, []);
+
+  // Everything below only touches refs, so the returned object is stable across renders
+  return useMemo(() => {
+    const getPlayer = () => {
+      if (!readyRef.current) {
+        readyRef.current = loadApiRef.current().then((YT) => new Promise((resolve) => {
+          // YT.Player replaces its target element, so give it one React doesn't own
+          const target = document.createElement('div');
+          hostRef.current.appendChild(target);
+          new YT.Player(target, {
+            width: '100%',
+            height: '100%',
+            playerVars: { autoplay: 1, playsinline: 1, origin: window.location.origin },
+            events: {
+              onReady: (event) => {
+                playerRef.current = event.target;
+                callbacksRef.current.onReady?.(event.target);
+                resolve(event.target);
+              },
+              onStateChange: (event) => callbacksRef.current.onStateChange?.(event, YT),
+              onError: (event) => callbacksRef.current.onError?.(event),
+            },
+          });
+        }));
+      }
+      return readyRef.current;
+    };
+
+    const call = (method, ...args) => playerRef.current?.[method]?.(...args);
+
+    return {
+      hostRef,
+      load: async (videoId, startSeconds = 0) => {
+        const player = await getPlayer();
+        player.loadVideoById({ videoId, startSeconds });
+      },
+      play: () => call('playVideo'),
+      pause: () => call('pauseVideo'),
+      stop: () => call('stopVideo'),
+      seekTo: (seconds) => call('seekTo', seconds, true),
+      setVolume: (volume) => call('setVolume', volume),
+      mute: () => call('mute'),
+      unMute: () => call('unMute'),
+      getCurrentTime: () => call('getCurrentTime') ?? 0,
+      getDuration: () => call('getDuration') ?? 0,
+      isReady: () => Boolean(playerRef.current),
+    };
+  }, []);
+};
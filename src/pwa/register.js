@@ -0,0 +1,7 @@
+// The service worker only exists in production builds (see vite.config.js)
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('Service worker registration failed', err));
+  });
+};
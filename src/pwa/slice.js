@@ -0,0 +1,14 @@
+export const initialState = { online: typeof navigator === 'undefined' || navigator.onLine };
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'connection/changed':
+      return state.online === action.online ? state : { online: action.online };
+    default:
+      return state;
+  }
+};
+
+export const connectionChanged = (online) => ({ type: 'connection/changed', online });
+
+export const selectOnline = (state) => state.connection.online;
@@ -0,0 +1,59 @@
+// SariGama service worker. Not part of the app bundle: the build copies it to
+// /sw.js and fills in the placeholders below with the built files and their
+// hash, so every deploy gets its own cache and the app shell works offline.
+const PRECACHE = self.__PRECACHE_MANIFEST || ['/', '/index.html'];
+const VERSION = self.__PRECACHE_VERSION || 'dev';
+const SHELL_CACHE = `sarigama-shell-${VERSION}`;
+const RUNTIME_CACHE = 'sarigama-runtime';
+
+// Cross-origin requests worth keeping: the web font and its stylesheet
+const CACHEABLE_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('sarigama-shell-') && key !== SHELL_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Pages always try the network first so a new deploy shows up straight away
+const networkFirstPage = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(request)) || caches.match('/index.html');
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (CACHEABLE_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+  }
+  // Everything else (API, YouTube, lyrics, weather) goes straight to the network
+});
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { connectionChanged, selectOnline } from './slice';
+
+// Keeps the store's `connection.online` in step with navigator.onLine.
+// `onOnline` runs when the connection comes back. Mount it once.
+export const useOnlineStatus = ({ onOnline } = {}) => {
+  const dispatch = useDispatch();
+  const onOnlineRef = useRef(onOnline);
+
+  useEffect(() => {
+    onOnlineRef.current = onOnline;
+  });
+
+  useEffect(() => {
+    const goOnline = () => {
+      dispatch(connectionChanged(true));
+      onOnlineRef.current?.();
+    };
+    const goOffline = () => dispatch(connectionChanged(false));
+    dispatch(connectionChanged(navigator.onLine));
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [dispatch]);
+
+  return useSelector(selectOnline);
+};
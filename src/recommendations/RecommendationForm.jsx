@@ -0,0 +1,175 @@
+import { Sparkles, Loader2, AlertCircle, X, Plus, WifiOff } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { useRef } from 'react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { useKeyboardShortcuts } from '../a11y/useKeyboardShortcuts';
+import { LANGUAGES } from '../catalog/catalog';
+import { useMoodPresets } from '../catalog/useMoodPresets';
+import MoodArcPanel from '../arc/MoodArcPanel';
+import ContextPanel from '../context/ContextPanel';
+import { selectOnline } from '../pwa/slice';
+import {
+  cancelRecommendations, getRecommendations, setArc, setArcMode, setMood, toggleLanguage,
+  selectArc, selectArcMode, selectCanRequest, selectError, selectLanguages, selectLoading, selectMood, selectQueuedRequest,
+} from './slice';
+
+const RecommendationForm = () => {
+  const dispatch = useDispatch();
+  const mood = useSelector(selectMood);
+  const languages = useSelector(selectLanguages);
+  const arcMode = useSelector(selectArcMode);
+  const arc = useSelector(selectArc);
+  const canRequest = useSelector(selectCanRequest);
+  const loading = useSelector(selectLoading);
+  const error = useSelector(selectError);
+  const online = useSelector(selectOnline);
+  const queuedRequest = useSelector(selectQueuedRequest);
+  const moodPresets = useMoodPresets();
+  const inputRef = useRef(null);
+
+  const request = () => dispatch(getRecommendations());
+
+  // "/" jumps to the mood box (or the first mood of an arc)
+  useKeyboardShortcuts({
+    '/': () => inputRef.current?.querySelector('input')?.focus(),
+  });
+
+  return (
+    <div className="input-section">
+      <div className="mood-select-container" role="group" aria-label="Languages">
+        {LANGUAGES.map((lang) => (
+          <button
+            key={lang.name}
+            onClick={() => dispatch(toggleLanguage(lang.name))}
+            className={`mood-chip language-chip ${languages.includes(lang.name) ? 'selected' : ''}`}
+            aria-pressed={languages.includes(lang.name)}
+            title={lang.name}
+          >
+            {lang.nativeName === lang.name ? lang.name : `${lang.nativeName} · ${lang.name}`}
+          </button>
+        ))}
+      </div>
+
+      <ContextPanel />
+
+      <div className="mood-select-container" role="group" aria-label="Mood mode">
+        <button
+          onClick={() => dispatch(setArcMode(false))}
+          className={`mood-chip ${arcMode ? '' : 'selected'}`}
+          aria-pressed={!arcMode}
+        >
+          Single mood
+        </button>
+        <button
+          onClick={() => dispatch(setArcMode(true))}
+          className={`mood-chip ${arcMode ? 'selected' : ''}`}
+          aria-pressed={arcMode}
+          title="Move gradually from one mood to another"
+        >
+          Mood arc
+        </button>
+      </div>
+
+      {!arcMode && (
+        <div className="mood-select-container" role="group" aria-label="Mood presets">
+          {moodPresets.presets.map((item) => {
+            const chip = (
+              <button
+                key={item.label}
+                onClick={() => dispatch(setMood(item.mood))}
+                className={`mood-chip ${mood === item.mood ? 'selected' : ''} ${item.custom ? 'custom' : ''}`}
+                aria-pressed={mood === item.mood}
+              >
+                {item.label}
+              </button>
+            );
+            if (!item.custom) return chip;
+            // A separate button, since buttons can't be nested
+            return (
+              <span key={item.label} className="mood-chip-group">
+                {chip}
+                <button
+                  className="mood-chip-remove"
+                  title="Remove preset"
+                  aria-label={`Remove ${item.label} preset`}
+                  onClick={() => moodPresets.remove(item.mood)}
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            );
+          })}
+          {mood.trim() && !moodPresets.presets.some((item) => item.mood.toLowerCase() === mood.trim().toLowerCase()) && (
+            <button className="mood-chip add-preset" onClick={() => moodPresets.add(mood)} title="Save this mood as a preset">
+              <Plus size={14} />
+              Save mood
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="mood-input-wrapper" ref={inputRef}>
+        {arcMode ? (
+          <MoodArcPanel
+            arc={arc}
+            onChange={(next) => dispatch(setArc(next))}
+            moods={moodPresets.presets.map((item) => item.mood)}
+            onSubmit={request}
+          />
+        ) : (
+          <input
+            type="text"
+            id="mood-input"
+            placeholder="How are you feeling right now?"
+            aria-label="Mood"
+            aria-keyshortcuts="/"
+            value={mood}
+            maxLength={80}
+            onChange={(e) => dispatch(setMood(e.target.value))}
+            onKeyDown={(e) => e.key === 'Enter' && request()}
+            className="glass-input mood-input"
+          />
+        )}
+        <button
+          id="generate-btn"
+          onClick={request}
+          disabled={loading || !canRequest}
+          className="generate-btn"
+        >
+          {loading ? <Loader2 className="spin" /> : <Sparkles />}
+          <span>{online ? 'Get Songs' : 'Get Songs When Online'}</span>
+        </button>
+        {loading && (
+          <button onClick={() => dispatch(cancelRecommendations())} className="generate-btn secondary">
+            <X size={18} />
+            <span>Cancel</span>
+          </button>
+        )}
+      </div>
+
+      {!online && (
+        <div className="offline-banner">
+          <WifiOff size={18} />
+          <span>
+            You're offline. Saved and recent lists, history and lyrics you've opened are still here; playback needs a connection.
+            {queuedRequest && ' Your request will run as soon as you are back online.'}
+          </span>
+        </div>
+      )}
+
+      {error && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="error-message"
+          role="alert"
+        >
+          <AlertCircle size={18} />
+          {error}
+        </motion.div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationForm;
@@ -0,0 +1,36 @@
+// Quota, rate limit, server and network failures are worth trying the next provider for.
+// Anything else (bad request, invalid key) would most likely fail the same way again.
+export const isFailoverError = (err) => {
+  if (err?.status === 429 || err?.status >= 500) return true;
+  if (err instanceof TypeError) return true; // fetch() network failure
+  return /quota|rate.?limit|resource.?exhausted|overloaded|network|failed to fetch/i.test(err?.message || '');
+};
+
+// Providers may return the text alone or { text, label } to report what actually answered.
+// Streaming providers also pass each piece of text to `request.onChunk` as it arrives;
+// once any text has gone out there's no switching providers, so errors are final.
+export const generateWithFailover = async (request, providers) => {
+  if (providers.length === 0) {
+    throw new Error('No recommendation provider is configured. Add an API key or enable the mock provider.');
+  }
+
+  let lastError;
+  for (const provider of providers) {
+    let streamed = false;
+    const onChunk = request.onChunk && ((text) => {
+      streamed = true;
+      request.onChunk(text);
+    });
+
+    try {
+      const result = await provider.generate({ ...request, onChunk });
+      if (typeof result === 'string') return { text: result, provider };
+      return { text: result.text, provider: result.label ? { ...provider, label: result.label } : provider };
+    } catch (err) {
+      lastError = err;
+      if (streamed || err?.name === 'AbortError' || request.signal?.aborted || !isFailoverError(err)) throw err;
+      console.warn(`Provider "${provider.name}" failed, trying the next one.`, err);
+    }
+  }
+  throw lastError;
+};
@@ -0,0 +1,31 @@
+import { createProxyProvider } from './providers/proxy';
+import { createMockProvider } from './providers/mock';
+import { generateWithFailover as runChain } from './failover';
+
+const env = import.meta.env;
+
+const factories = {
+  proxy: () => createProxyProvider({ baseUrl: env.VITE_API_BASE_URL || '' }),
+  mock: () => createMockProvider(),
+};
+
+// Provider order comes from VITE_RECOMMENDATION_PROVIDERS, e.g. "proxy,mock".
+// Providers without the configuration they need are skipped.
+export const getProviders = (order = env.VITE_RECOMMENDATION_PROVIDERS || 'proxy,mock') =>
+  order
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => factories[name])
+    .map((name) => factories[name]())
+    .filter((provider) => provider.isConfigured());
+
+export { isFailoverError } from './failover';
+
+// `{ models, defaultModel }`: the Gemini models the API server lets a request pick
+export const fetchModels = async (baseUrl = env.VITE_API_BASE_URL || '') => {
+  const response = await fetch(`${baseUrl}/api/models`);
+  if (!response.ok) throw new Error(`API server returned ${response.status} ${response.statusText}`);
+  return response.json();
+};
+
+export const generateWithFailover = (request, providers = getProviders()) => runChain(request, providers);
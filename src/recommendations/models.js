@@ -0,0 +1,6 @@
+// Gemini models listeners may pick. The server only accepts these (or the
+// ones in its GEMINI_MODELS), so a request can't switch to an arbitrary model.
+// The settings panel shows the server's list, from GET /api/models.
+export const GEMINI_MODELS = ['gemini-2.0-flash-lite', 'gemini-2.0-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-flash'];
+
+export const DEFAULT_GEMINI_MODEL = GEMINI_MODELS[0];
@@ -0,0 +1,184 @@
+export const SONG_FIELDS = ['title', 'artist', 'reason', 'history', 'lyricsSnippet'];
+
+// Alternative keys models have been seen to use for each field.
+const FIELD_ALIASES = {
+  title: ['title', 'song', 'songTitle', 'song_title', 'name', 'track'],
+  artist: ['artist', 'artists', 'singer', 'singers', 'performer', 'artistName', 'artist_name'],
+  reason: ['reason', 'why', 'explanation', 'moodReason', 'mood_reason'],
+  history: ['history', 'context', 'trivia', 'culturalContext', 'cultural_context', 'fact'],
+  lyricsSnippet: ['lyricsSnippet', 'lyrics_snippet', 'lyrics', 'snippet', 'excerpt'],
+  language: ['language', 'lang'],
+  arcPosition: ['arcPosition', 'arc_position', 'position', 'step'],
+  arcMood: ['arcMood', 'arc_mood', 'stepMood'],
+};
+
+const repairJson = (text) => text
+  .replace(/[“”]/g, '"')
+  .replace(/,\s*([\]}])/g, '$1');
+
+const tryParse = (text) => {
+  for (const candidate of [text, repairJson(text)]) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // try the next candidate
+    }
+  }
+  return { ok: false };
+};
+
+// Walks `text` from the first "[" and returns the raw source of every object
+// directly inside that array whose closing brace has been seen. Strings are
+// tracked so braces inside lyrics don't confuse the depth count.
+export const scanArrayObjects = (text) => {
+  const objects = [];
+  const arrayStart = text.indexOf('[');
+  if (arrayStart === -1) return { objects, closed: false };
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = arrayStart; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+      if (char === '{' && depth === 2) objectStart = i;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (char === '}' && depth === 1 && objectStart !== -1) {
+        objects.push(text.slice(objectStart, i + 1));
+        objectStart = -1;
+      }
+      if (depth === 0) return { objects, closed: true, end: i + 1 };
+    }
+  }
+  return { objects, closed: false };
+};
+
+// Pulls the song array out of whatever the model sent back: bare JSON,
+// markdown fences, chatty preambles, {"songs": [...]} wrappers, trailing
+// commas or an array cut off half way through.
+export const extractJsonArray = (text) => {
+  if (typeof text !== 'string') return [];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  const body = (fenced && fenced[1].includes('[') ? fenced[1] : text).trim();
+
+  const whole = tryParse(body);
+  if (whole.ok) {
+    if (Array.isArray(whole.value)) return whole.value;
+    if (whole.value && typeof whole.value === 'object') {
+      const nested = Object.values(whole.value).find(Array.isArray);
+      if (nested) return nested;
+      return [whole.value];
+    }
+  }
+
+  const { objects, closed, end } = scanArrayObjects(body);
+  if (closed) {
+    const array = tryParse(body.slice(body.indexOf('['), end));
+    if (array.ok && Array.isArray(array.value)) return array.value;
+  }
+
+  // Salvage the objects that do parse on their own
+  return objects
+    .map(tryParse)
+    .filter((result) => result.ok)
+    .map((result) => result.value);
+};
+
+const toText = (value, separator) => {
+  if (Array.isArray(value)) return value.map((item) => toText(item, separator)).filter(Boolean).join(separator);
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return '';
+  return value.trim();
+};
+
+const pick = (raw, field) => {
+  const key = FIELD_ALIASES[field].find((alias) => raw[alias] !== undefined && raw[alias] !== null);
+  return key ? raw[key] : undefined;
+};
+
+// Returns a song with SONG_FIELDS as trimmed strings (plus `language`, and
+// `arcPosition`/`arcMood` for mood arcs, when the model reported them), or
+// null when the entry can't be used (no title or no artist).
+export const normalizeSong = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const song = {
+    title: toText(pick(raw, 'title'), ' '),
+    artist: toText(pick(raw, 'artist'), ', '),
+    reason: toText(pick(raw, 'reason'), ' '),
+    history: toText(pick(raw, 'history'), ' '),
+    lyricsSnippet: toText(pick(raw, 'lyricsSnippet'), '\n').replace(/^["'“]+|["'”]+$/g, ''),
+  };
+
+  if (!song.title || !song.artist) return null;
+  const language = toText(pick(raw, 'language'), ', ');
+  if (language) song.language = language;
+
+  const arcPosition = Number.parseInt(pick(raw, 'arcPosition'), 10);
+  if (arcPosition > 0) {
+    song.arcPosition = arcPosition;
+    song.arcMood = toText(pick(raw, 'arcMood'), ' ');
+  }
+  return song;
+};
+
+export const songKey = (song) => `${song.title}|${song.artist}`.toLowerCase().replace(/\s+/g, ' ');
+
+// The first of each song, by songKey; lists are keyed by it when rendered
+export const uniqueSongs = (songs) => {
+  const seen = new Set();
+  return songs.filter((song) => {
+    if (seen.has(songKey(song))) return false;
+    seen.add(songKey(song));
+    return true;
+  });
+};
+
+// Incremental parser for streamed responses: feed it text as it arrives and it
+// calls `onItem` with every array element object as soon as its closing brace
+// has been received. Items that don't parse even after repair are skipped.
+export const createStreamParser = (onItem) => {
+  let buffer = '';
+  let emitted = 0;
+
+  return (chunk) => {
+    buffer += chunk;
+    const { objects } = scanArrayObjects(buffer);
+    for (; emitted < objects.length; emitted++) {
+      const result = tryParse(objects[emitted]);
+      if (result.ok) onItem(result.value);
+    }
+  };
+};
+
+// Full pipeline for one response: extract, normalize, drop invalid entries and duplicates.
+export const parsePlaylist = (text) => {
+  const items = extractJsonArray(text);
+  const seen = new Set();
+  const songs = [];
+  let rejected = 0;
+
+  for (const item of items) {
+    const song = normalizeSong(item);
+    if (!song || seen.has(songKey(song))) {
+      rejected++;
+      continue;
+    }
+    seen.add(songKey(song));
+    songs.push(song);
+  }
+
+  return { songs, rejected };
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { createStreamParser, extractJsonArray, normalizeSong, parsePlaylist } from './parse';
+
+const song = (n) => ({
+  title: `Song ${n}`,
+  artist: `Artist ${n}`,
+  reason: `Reason ${n}`,
+  history: `History ${n}`,
+  lyricsSnippet: `Lyrics ${n}`,
+});
+const two = JSON.stringify([song(1), song(2)]);
+
+// Responses models have actually sent back, and what we expect to salvage from each
+const CORPUS = [
+  ['bare JSON', two, 2],
+  ['a markdown fence', `\`\`\`json\n${two}\n\`\`\``, 2],
+  ['an unterminated fence', `\`\`\`json\n${two}`, 2],
+  ['a chatty preamble and sign-off', `Here is your playlist!\n${two}\nEnjoy the music.`, 2],
+  ['a {"songs": [...]} wrapper', JSON.stringify({ songs: [song(1), song(2)] }), 2],
+  ['a single object instead of an array', JSON.stringify(song(1)), 1],
+  ['trailing commas', '[{"title": "Song 1", "artist": "Artist 1",},]', 1],
+  ['curly quotes', '[{“title”: “Song 1”, “artist”: “Artist 1”}]', 1],
+  ['an array cut off mid-object', `${two.slice(0, -1)},{"title": "Song 3", "artist": "Art`, 2],
+  ['an array cut off mid-string', `[${JSON.stringify(song(1))}, {"title": "Song 2", "lyricsSnippet": "Some {brace`, 1],
+  ['one corrupt object among good ones', `[${JSON.stringify(song(1))}, {"title": "Song 2" "artist": "x"}, ${JSON.stringify(song(3))}]`, 2],
+  ['entries without an artist', '[{"title": "Song 1"}, {"artist": "Artist 2"}]', 0],
+  ['duplicate songs', JSON.stringify([song(1), { ...song(1), title: 'song  1' }]), 1],
+  ['a refusal', 'I am sorry, but I cannot help with that request.', 0],
+  ['an empty array', '[]', 0],
+  ['an empty response', '', 0],
+  ['an array of strings', '["Song 1 by Artist 1", "Song 2 by Artist 2"]', 0],
+];
+
+describe('parsePlaylist', () => {
+  it.each(CORPUS)('copes with %s', (_, text, expected) => {
+    expect(parsePlaylist(text).songs).toHaveLength(expected);
+  });
+
+  it('counts the entries it had to reject', () => {
+    const text = JSON.stringify([song(1), { title: 'No artist' }, song(1), 42]);
+    expect(parsePlaylist(text)).toEqual({ songs: [song(1)], rejected: 3 });
+  });
+
+  it('never throws on non-string input', () => {
+    expect(parsePlaylist(undefined).songs).toEqual([]);
+    expect(extractJsonArray(null)).toEqual([]);
+  });
+});
+
+describe('normalizeSong', () => {
+  it('maps alias keys and joins arrays', () => {
+    expect(normalizeSong({
+      song: ' Song 1 ',
+      singers: ['Artist A', 'Artist B'],
+      why: 'Because',
+      trivia: 'Fact',
+      lyrics: ['"Line one', 'line two"'],
+      lang: 'Tamil',
+    })).toEqual({
+      title: 'Song 1',
+      artist: 'Artist A, Artist B',
+      reason: 'Because',
+      history: 'Fact',
+      lyricsSnippet: 'Line one\nline two',
+      language: 'Tamil',
+    });
+  });
+
+  it('keeps a valid arc position', () => {
+    expect(normalizeSong({ ...song(1), arcPosition: '3', arcMood: 'Lifting' })).toMatchObject({ arcPosition: 3, arcMood: 'Lifting' });
+    expect(normalizeSong({ ...song(1), arcPosition: 0 })).not.toHaveProperty('arcPosition');
+  });
+
+  it('rejects anything that is not a song object', () => {
+    expect(normalizeSong(null)).toBeNull();
+    expect(normalizeSong([song(1)])).toBeNull();
+    expect(normalizeSong({ title: '  ', artist: 'Artist' })).toBeNull();
+  });
+});
+
+describe('createStreamParser', () => {
+  it('emits each object as soon as it is complete, whatever the chunking', () => {
+    const items = [];
+    const feed = createStreamParser((item) => items.push(item.title));
+    const first = `Sure: [${JSON.stringify(song(1))}`;
+    const text = `${first}, ${JSON.stringify({ ...song(2), lyricsSnippet: 'a } b' })}]`;
+
+    for (let end = 7; end < text.length + 7; end += 7) {
+      feed(text.slice(end - 7, end));
+      expect(items).toEqual(end < first.length ? [] : ['Song 1', 'Song 2'].slice(0, end < text.length - 1 ? 1 : 2));
+    }
+  });
+});
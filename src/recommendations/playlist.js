@@ -0,0 +1,108 @@
+import { generateWithFailover } from './index';
+import { createStreamParser, normalizeSong, parsePlaylist, songKey } from './parse';
+
+const sortArc = (songs, arc) => (arc ? [...songs].sort((a, b) => a.arcPosition - b.arcPosition) : songs);
+
+// Asks the provider chain for `count` songs, validating every entry and
+// re-prompting for the missing ones until `minSongs` valid songs have
+// arrived or `maxAttempts` requests have been made. `taste` (see
+// buildTasteProfile) and a `seed` song steer the prompt; songs the listener
+// gave a thumbs down are never returned.
+//
+// With `arc` ({ from, to, length }) the playlist is a mood arc of `length`
+// songs: every song gets a unique `arcPosition` (1-based), re-prompts ask only
+// for the open positions, and the result is sorted along the arc. A listening
+// `context` (see buildContext) adds time of day, activity and weather.
+//
+// With `onSong`, the response is streamed and every valid song is reported as
+// soon as it is complete. Aborting `signal` stops the request and resolves
+// with the songs received so far (`cancelled: true`). `preferences` from the
+// settings go into the prompt, and `model` is passed on to the providers.
+// Providers get these fields rather than a prompt; the API server builds it
+// (see buildPrompt).
+export const requestPlaylist = async ({
+  mood,
+  language,
+  arc,
+  context,
+  count = arc ? arc.length : 10,
+  minSongs = count,
+  maxAttempts = 3,
+  taste,
+  seed,
+  preferences,
+  model,
+  onSong,
+  signal,
+  providers,
+}) => {
+  const songs = [];
+  const seen = new Set(taste ? taste.dislikedSongs.map(songKey) : []);
+  if (seed) seen.add(songKey(seed));
+  let provider;
+
+  const openPositions = () => {
+    const taken = new Set(songs.map((song) => song.arcPosition));
+    return Array.from({ length: count }, (_, i) => i + 1).filter((position) => !taken.has(position));
+  };
+
+  const accept = (song) => {
+    if (!song || seen.has(songKey(song)) || songs.length >= count) return;
+    if (arc) {
+      // Models sometimes repeat or skip a position; slot those songs into the first open one
+      const open = openPositions();
+      if (!open.includes(song.arcPosition)) song = { ...song, arcPosition: open[0], arcMood: song.arcMood || '' };
+    }
+    seen.add(songKey(song));
+    songs.push(song);
+    onSong?.(song);
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts && songs.length < minSongs; attempt++) {
+    const missing = count - songs.length;
+    const arcRequest = arc && { ...arc, length: count, positions: openPositions() };
+    let result;
+    try {
+      result = await generateWithFailover({
+        task: 'playlist',
+        mood,
+        language,
+        count: missing,
+        exclude: songs.map(({ title, artist }) => ({ title, artist })),
+        taste,
+        seed,
+        arc: arcRequest,
+        context,
+        preferences,
+        model,
+        signal,
+        onChunk: onSong && createStreamParser((item) => accept(normalizeSong(item))),
+      }, providers);
+    } catch (err) {
+      if (signal?.aborted) return { songs: sortArc(songs, arc), provider, cancelled: true };
+      // A stream that breaks half way still leaves us with usable songs
+      if (songs.length > 0) {
+        console.warn('Recommendation request failed part way, keeping what arrived.', err);
+        break;
+      }
+      throw err;
+    }
+    provider = result.provider;
+
+    // Catches anything the stream parser couldn't (wrapped or repaired JSON)
+    const { songs: parsed, rejected } = parsePlaylist(result.text);
+    parsed.forEach(accept);
+
+    if (songs.length < minSongs) {
+      console.warn(`Attempt ${attempt}: ${songs.length}/${count} valid songs (${rejected} rejected).`);
+    }
+  }
+
+  if (songs.length === 0) {
+    const error = new Error(`Received a malformed response from ${provider.label}. Please try again.`);
+    error.code = 'MALFORMED_RESPONSE';
+    throw error;
+  }
+
+  return { songs: sortArc(songs, arc), provider, cancelled: false };
+};
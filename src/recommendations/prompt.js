@@ -0,0 +1,112 @@
+// The API server builds every playlist prompt with this from the request's fields.
+// It runs in plain Node there, hence the explicit .js imports.
+import { parseLanguages } from '../catalog/catalog.js';
+import { contextLines } from '../context/context.js';
+
+const excludeSection = (songs) => (songs.length === 0 ? '' : `
+      ### Already Chosen (do NOT repeat these):
+${songs.map((song) => `      - "${song.title}" by ${song.artist}`).join('\n')}
+`);
+
+const songList = (songs) => songs.map((song) => `"${song.title}" by ${song.artist}`).join('; ');
+
+// What the listening history and thumbs up/down say about this listener
+const tasteSection = (taste) => {
+  if (!taste) return '';
+  const lines = [];
+  if (taste.recent.length > 0) {
+    lines.push(`      - Recently heard, do NOT include: ${songList(taste.recent)}`);
+  }
+  if (taste.likedArtists.length > 0 || taste.likedSongs.length > 0) {
+    lines.push(`      - Lean toward the artists and styles they liked: ${[...taste.likedArtists, songList(taste.likedSongs)].filter(Boolean).join('; ')}`);
+  }
+  if (taste.dislikedSongs.length > 0) {
+    lines.push(`      - They disliked these, avoid them and anything very similar: ${songList(taste.dislikedSongs)}`);
+  }
+  return lines.length === 0 ? '' : `
+      ### Listener Profile:
+${lines.join('\n')}
+`;
+};
+
+const seedSection = (seed) => (!seed ? '' : `
+      ### More Like This:
+      The listener wants more songs like "${seed.title}" by ${seed.artist}. Match its style, era, instrumentation and emotional feel, but do not include the song itself.
+`);
+
+const contextSection = (context) => {
+  const lines = contextLines(context);
+  return lines.length === 0 ? '' : `
+      ### Listening Context:
+${lines.map((line) => `      - ${line}`).join('\n')}
+      Pick songs that suit this setting as well as the mood (tempo for the activity, atmosphere for the weather and time of day), and let each "reason" mention how the song fits it.
+`;
+};
+
+// Mood-arc mode: `arc.positions` lists the steps still needed (all of them on the first request)
+const arcSection = (arc) => (!arc ? '' : `
+      ### Mood Arc:
+      This playlist is a journey of ${arc.length} songs that moves gradually from "${arc.from}" (song 1) to "${arc.to}" (song ${arc.length}).
+      Every step should feel slightly closer to "${arc.to}" than the one before; no sudden jumps.
+      Provide the songs for these positions on the arc, in order: ${arc.positions.join(', ')}.
+      Give each song its "arcPosition" (the number above) and an "arcMood" of 2-4 words describing that point of the journey.
+`);
+
+// How far to stray from the famous songs, for the settings' `popularity` (0-100)
+const popularityLine = (popularity = 50) => {
+  if (popularity <= 20) return 'Stick to well-known, widely loved songs that most listeners of this music would recognise.';
+  if (popularity <= 40) return 'Favour well-known songs, with the occasional less obvious choice.';
+  if (popularity < 60) return 'Do not just pick the most famous songs; include some hidden gems or less obvious choices that fit the criteria perfectly.';
+  if (popularity < 80) return 'Lean toward lesser-known songs and hidden gems; include only a few famous ones.';
+  return 'Choose obscure deep cuts and hidden gems only; leave out the famous, frequently played songs.';
+};
+
+// Era and clean-lyrics limits from the settings, numbered after the fixed criteria
+const limitCriteria = ({ era, avoidExplicit }) => [
+  era && `**Era:** Only songs first released between ${era.from} and ${era.to}.`,
+  avoidExplicit && '**Clean Lyrics:** Leave out songs with explicit, sexual or graphically violent lyrics.',
+].filter(Boolean).map((line, i) => `      ${i + 4}. ${line}\n`).join('');
+
+// `language` may name several languages ("Malayalam, Tamil"); the playlist then mixes them.
+// `preferences` ({ popularity, era, avoidExplicit }, see promptPreferences) come from the settings.
+export const buildPrompt = ({ mood, language, count = 10, exclude = [], taste, seed, arc, context, preferences = {} }) => {
+  const languages = parseLanguages(language);
+  const languageText = languages.length > 1
+    ? `${languages.slice(0, -1).join(', ')} or ${languages[languages.length - 1]}`
+    : languages[0] || language;
+  const historyLanguage = languages.length > 1 ? "the song's own language" : languageText;
+
+  return `
+      You are an expert musicologist and cultural historian specializing in ${languageText} music.
+      Your task is to curate a highly specific and DIVERSE playlist of ${count} songs for a listener who is feeling "${mood}".
+      
+      IMPORTANT: This request ID is ${Math.random()}. Ensure this playlist is unique and random compared to previous requests. ${popularityLine(preferences.popularity)}
+
+      ### Selection Criteria:
+      1. **Mood Matching:** Analyze the lyrics, tempo, key, and instrumentation. ${arc
+        ? 'Ensure the emotional resonance of each song matches its step on the mood arc precisely.'
+        : `Ensure the emotional resonance matches "${mood}" precisely.`}
+      2. **Language:** All songs must be sung in ${languageText}.${languages.length > 1 ? ' Mix the languages evenly.' : ''}
+      3. **Randomness:** Shuffle your internal database selection to provide a varied mix every time this prompt is run.${arc ? ' (Vary which songs you pick, never the order of the arc.)' : ''}
+${limitCriteria(preferences)}${arcSection(arc)}${contextSection(context)}${seedSection(seed)}${tasteSection(taste)}${excludeSection(exclude)}
+      ### Output Requirements:
+      - Return ONLY a raw JSON array.
+      - STRICTLY NO markdown formatting (no \`\`\`json blocks), no conversational text, and no whitespace padding.
+      - Ensure all strings are properly escaped to prevent JSON parsing errors.
+
+      ### JSON Structure:
+      Return an array of objects. Each object must follow this schema:
+      [
+        {
+          "title": "Song Title",
+          "artist": "Artist Name",
+          "reason": "A brief, 1-sentence explanation of why this song fits ${arc ? 'its step on the mood arc' : `the '${mood}' mood`}.",
+          "history": "A 1-2 sentence interesting historical fact or cultural context about the song, written strictly in ${historyLanguage}.",
+          "lyricsSnippet": "A famous 2-4 line excerpt or chorus from the song lyrics (in original language).",
+          "language": "The language the song is sung in, in English (e.g. ${languages[0] || 'Malayalam'})."${arc ? `,
+          "arcPosition": 1,
+          "arcMood": "Quietly hopeful"` : ''}
+        }
+      ]
+      `;
+};
@@ -0,0 +1,90 @@
+import catalog from '../mockCatalog.json';
+import { parseLanguages } from '../../catalog/catalog';
+import { contextMoods } from '../../context/context';
+
+// Small string hash so the same mood + language always yields the same playlist.
+const hash = (value) => {
+  let h = 0;
+  for (let i = 0; i < value.length; i++) {
+    h = (h * 31 + value.charCodeAt(i)) | 0;
+  }
+  return Math.abs(h);
+};
+
+const moodScore = (song, mood) => {
+  const words = mood.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  return song.moods.filter((tag) => words.some((word) => tag.startsWith(word) || word.startsWith(tag))).length;
+};
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError());
+  }, { once: true });
+});
+
+// Deterministic offline provider backed by the bundled JSON catalog.
+// Needs no API key or network, so the whole UI can be exercised locally.
+// When streaming, songs are sent one by one `streamDelay` ms apart. A listening
+// context nudges the ranking towards its activity and weather. For a mood arc,
+// the picks fit either end and are ordered from the start mood to the end mood.
+// Lyrics annotation requests get placeholder translations.
+export const createMockProvider = ({ songs = catalog.songs, streamDelay = 150 } = {}) => ({
+  name: 'mock',
+  label: 'Offline catalog',
+  isConfigured: () => true,
+  generate: async ({ task, lines = [], mood, language, count = 10, arc, context, onChunk, signal }) => {
+    if (task === 'lyrics') {
+      return JSON.stringify(lines.map((line, i) => ({
+        line: i + 1,
+        transliteration: line,
+        translation: `(offline sample translation of line ${i + 1})`,
+      })));
+    }
+
+    const wanted = parseLanguages(language).map((name) => name.toLowerCase());
+    const inLanguage = songs.filter((song) => wanted.includes(song.language.toLowerCase()));
+    const pool = inLanguage.length > 0 ? inLanguage : songs;
+    const seed = hash(`${mood}|${language}`);
+
+    const ranked = pool
+      .map((song, i) => ({ song, score: moodScore(song, mood) + moodScore(song, contextMoods(context).join(' ')), tieBreak: (seed + i * 7919) % pool.length }))
+      .sort((a, b) => b.score - a.score || a.tieBreak - b.tieBreak)
+      .slice(0, count);
+
+    if (arc) {
+      // Leaning: negative sits near the start mood, positive near the end mood
+      const leaning = ({ song }) => moodScore(song, arc.to) - moodScore(song, arc.from);
+      ranked.sort((a, b) => leaning(a) - leaning(b));
+    }
+
+    const picked = ranked
+      .map(({ song }, i) => ({
+        title: song.title,
+        artist: song.artist,
+        reason: `A ${song.moods.join(', ')} track picked from the offline catalog for a "${mood}" mood.`,
+        history: song.history,
+        lyricsSnippet: song.lyricsSnippet,
+        language: song.language,
+        ...(arc && {
+          arcPosition: arc.positions[i],
+          arcMood: song.moods[0].charAt(0).toUpperCase() + song.moods[0].slice(1),
+        }),
+      }));
+
+    const text = JSON.stringify(picked);
+    if (!onChunk) return text;
+
+    onChunk('[');
+    for (let i = 0; i < picked.length; i++) {
+      await wait(streamDelay, signal);
+      onChunk(`${i > 0 ? ',' : ''}${JSON.stringify(picked[i])}`);
+    }
+    onChunk(']');
+    return text;
+  },
+});
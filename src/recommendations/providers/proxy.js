@@ -0,0 +1,54 @@
+const failed = (status, message) => Object.assign(new Error(message), { status });
+
+// Reads the newline-delimited JSON events of a streamed response
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)));
+    if (done) return;
+  }
+};
+
+// Recommendations through the SariGama API server, which holds the real keys.
+// The request's fields (mood, language, count, song, lines, ...) go as they
+// are; the server checks them and writes the prompt itself.
+export const createProxyProvider = ({ baseUrl = '' } = {}) => ({
+  name: 'proxy',
+  label: 'SariGama API',
+  isConfigured: () => true,
+  generate: async ({ onChunk, signal, ...request }) => {
+    const response = await fetch(`${baseUrl}/api/recommendations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...request, stream: Boolean(onChunk) }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw failed(response.status, data.error || `API server returned ${response.status} ${response.statusText}`);
+    }
+
+    if (!onChunk) {
+      const data = await response.json();
+      return { text: data.text, label: data.provider };
+    }
+
+    let text = '';
+    let label;
+    await readEvents(response, (event) => {
+      if (event.type === 'provider') label = event.label;
+      else if (event.type === 'chunk') {
+        text += event.text;
+        onChunk(event.text);
+      } else if (event.type === 'error') throw failed(event.status || 502, event.error);
+    });
+    return { text, label };
+  },
+});
@@ -0,0 +1,195 @@
+import { requestPlaylist } from './playlist';
+import { songKey } from './parse';
+import { formatLanguages, parseLanguages } from '../catalog/catalog';
+import { DEFAULT_ARC, arcLabel, insertByArcPosition, toArcRequest } from '../arc/arc';
+import { explainContext } from '../context/context';
+import { applyPreset, selectListeningContext } from '../context/slice';
+import { selectTaste } from '../history/slice';
+import { addRecent } from '../library/slice';
+import { selectOnline } from '../pwa/slice';
+import { selectSongs, showSongs, updateSongs } from '../songList/slice';
+import { selectCurrentSongIndex, updateQueue } from '../player/slice';
+import { announce } from '../a11y/slice';
+import { selectModel, selectPromptPreferences, selectSongCount, updateSettings } from '../settings/slice';
+
+export const initialState = {
+  mood: 'Nostalgic',
+  languages: ['Malayalam'],
+  // Mood-arc mode swaps the single mood for a start → end journey
+  arcMode: false,
+  arc: DEFAULT_ARC,
+  loading: false,
+  error: '',
+  providerLabel: 'Google Gemini',
+  // What the API server offers for the settings' model choice: { models, defaultModel }
+  modelChoices: null,
+  // Get Songs pressed while offline waits here and runs once the connection is back
+  queuedRequest: null,
+};
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'recommendations/setMood':
+      return { ...state, mood: action.mood };
+    case 'recommendations/toggleLanguage': {
+      // Languages are multi-select, but at least one stays selected
+      const { languages } = state;
+      if (!languages.includes(action.name)) return { ...state, languages: [...languages, action.name] };
+      if (languages.length > 1) return { ...state, languages: languages.filter((l) => l !== action.name) };
+      return state;
+    }
+    case 'recommendations/setArcMode':
+      return { ...state, arcMode: action.arcMode };
+    case 'recommendations/setArc':
+      return { ...state, arc: action.arc };
+    case 'recommendations/setError':
+      return { ...state, error: action.error };
+    case 'recommendations/playlistOpened':
+      return {
+        ...state,
+        error: '',
+        ...(action.mood && { mood: action.mood, arcMode: false }),
+        ...(action.language && { languages: parseLanguages(action.language) }),
+      };
+    case 'recommendations/queued':
+      return { ...state, queuedRequest: action.request };
+    case 'recommendations/started':
+      return { ...state, loading: true, error: '', queuedRequest: null };
+    case 'recommendations/failed':
+      return { ...state, error: action.error };
+    case 'recommendations/modelsLoaded':
+      return { ...state, modelChoices: { models: action.models, defaultModel: action.defaultModel } };
+    case 'recommendations/finished':
+      return { ...state, loading: false, providerLabel: action.provider?.label ?? state.providerLabel };
+    default:
+      return state;
+  }
+};
+
+export const setMood = (mood) => ({ type: 'recommendations/setMood', mood });
+export const toggleLanguage = (name) => ({ type: 'recommendations/toggleLanguage', name });
+export const setArcMode = (arcMode) => ({ type: 'recommendations/setArcMode', arcMode });
+export const setArc = (arc) => ({ type: 'recommendations/setArc', arc });
+export const setError = (error) => ({ type: 'recommendations/setError', error });
+export const playlistOpened = ({ mood, language }) => ({ type: 'recommendations/playlistOpened', mood, language });
+
+export const selectMood = (state) => state.recommendations.mood;
+export const selectLanguages = (state) => state.recommendations.languages;
+export const selectLanguage = (state) => formatLanguages(state.recommendations.languages);
+export const selectArcMode = (state) => state.recommendations.arcMode;
+export const selectArc = (state) => state.recommendations.arc;
+export const selectActiveMood = ({ recommendations: { arcMode, arc, mood } }) =>
+  arcMode ? arcLabel(arc) : mood.trim();
+export const selectCanRequest = ({ recommendations: { arcMode, arc, mood } }) =>
+  arcMode ? Boolean(arc.from.trim() && arc.to.trim()) : Boolean(mood.trim());
+export const selectLoading = (state) => state.recommendations.loading;
+export const selectError = (state) => state.recommendations.error;
+export const selectProviderLabel = (state) => state.recommendations.providerLabel;
+export const selectModelChoices = (state) => state.recommendations.modelChoices;
+export const selectQueuedRequest = (state) => state.recommendations.queuedRequest;
+
+// `seed` is set by "More like this" on a song card. Context presets pass
+// their own `mood` and `context`, and always ask for a single-mood list.
+// With `append` (a listening-party suggestion) the new songs go after the ones
+// on screen, and into the queue when it is playing, instead of replacing them.
+// The in-flight AbortController lives in `extra.request`, outside the state.
+export const getRecommendations = ({ seed, mood: presetMood, context: presetContext, append = false } = {}) =>
+  async (dispatch, getState, extra) => {
+    const state = getState();
+    if ((!presetMood && !selectCanRequest(state)) || extra.request) return;
+    if (!selectOnline(state)) {
+      dispatch({ type: 'recommendations/queued', request: { seed, mood: presetMood, context: presetContext, append } });
+      return;
+    }
+    const mood = presetMood || selectActiveMood(state);
+    const language = selectLanguage(state);
+    const context = presetContext !== undefined ? presetContext : selectListeningContext(state);
+    const why = explainContext({ mood, context });
+    const controller = new AbortController();
+    extra.request = controller;
+    dispatch({ type: 'recommendations/started' });
+    if (!append) dispatch(showSongs([], why));
+    dispatch(announce(`Finding ${mood} songs…`));
+    const existing = new Set(append ? (selectSongs(state) ?? []).map(songKey) : []);
+    let shown = [];
+    let provider = null;
+
+    try {
+      ({ provider } = await requestPlaylist({
+        providers: extra.services.getProviders(),
+        mood,
+        language,
+        arc: selectArcMode(state) && !presetMood ? toArcRequest(selectArc(state)) : undefined,
+        // A mood arc's length is its own; otherwise the size comes from the settings
+        count: selectArcMode(state) && !presetMood ? undefined : selectSongCount(state),
+        preferences: selectPromptPreferences(state),
+        model: selectModel(state) || undefined,
+        context,
+        taste: selectTaste(state),
+        seed,
+        signal: controller.signal,
+        // Cards appear as each song arrives. Inserting every new song at a random
+        // position keeps the client-side shuffle: the result is a uniform random order.
+        // A mood arc is never shuffled; its songs go straight to their step.
+        onSong: (song) => {
+          if (append) {
+            if (existing.has(songKey(song))) return;
+            shown = [...shown, song];
+            dispatch(updateSongs([...(selectSongs(getState()) ?? []), song]));
+            if (selectCurrentSongIndex(getState()) !== -1) dispatch(updateQueue({ type: 'enqueue', song }));
+            return;
+          }
+          if (song.arcPosition) {
+            shown = insertByArcPosition(shown, song);
+          } else {
+            shown = [...shown];
+            shown.splice(Math.floor(Math.random() * (shown.length + 1)), 0, song);
+          }
+          dispatch(updateSongs(shown));
+        },
+      }));
+      if (shown.length > 0 && !append) dispatch(addRecent({ mood, language, why, songs: shown }));
+      const found = shown.length === 1 ? '1 song' : `${shown.length || 'No'} songs`;
+      dispatch(announce(`${found} ${append ? 'added' : 'found'}`));
+    } catch (err) {
+      console.error(err);
+      dispatch({
+        type: 'recommendations/failed',
+        error: err.code === 'MALFORMED_RESPONSE' ? err.message : `Failed: ${err.message || 'Check API key'}`,
+      });
+    } finally {
+      if (extra.request === controller) extra.request = null;
+      dispatch({ type: 'recommendations/finished', provider });
+    }
+  };
+
+// Asks the API server which models a request may pick. A saved choice it no
+// longer offers goes back to the server default instead of failing every request.
+export const loadModels = () => async (dispatch, getState, { services }) => {
+  try {
+    const { models, defaultModel } = await services.getModels();
+    dispatch({ type: 'recommendations/modelsLoaded', models, defaultModel });
+    const model = selectModel(getState());
+    if (model && !models.includes(model)) dispatch(updateSettings({ model: '' }));
+  } catch (err) {
+    console.warn('Could not load the model list', err);
+  }
+};
+
+// Stops the in-flight request; songs that already arrived stay on screen
+export const cancelRecommendations = () => (dispatch, getState, extra) => {
+  extra.request?.abort();
+};
+
+export const runQueuedRequest = () => (dispatch, getState) => {
+  const request = selectQueuedRequest(getState());
+  if (request) return dispatch(getRecommendations(request));
+};
+
+// One-tap context presets such as "Morning commute"
+export const runPreset = (preset) => (dispatch) => {
+  const context = dispatch(applyPreset(preset));
+  dispatch(setMood(preset.mood));
+  dispatch(setArcMode(false));
+  return dispatch(getRecommendations({ mood: preset.mood, context }));
+};
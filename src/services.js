@@ -0,0 +1,20 @@
+import { fetchModels, getProviders } from './recommendations';
+import { fetchQuotaUsage, resolveVideo } from './video/resolver';
+import { loadYouTubeApi } from './player/useYouTubePlayer';
+import { getWeatherProvider } from './context/weather';
+import { connectParty } from './party/connection';
+
+// Everything App reaches outside the page for: recommendation providers and
+// the models they offer, video search and its quota, the YouTube IFrame API, weather, the party
+// socket and new windows. Tests hand App fakes through `<App services={createServices({ ... })} />`.
+export const createServices = (overrides = {}) => ({
+  getProviders,
+  getModels: fetchModels,
+  resolveVideo,
+  getQuota: fetchQuotaUsage,
+  loadYouTubeApi,
+  getWeatherProvider,
+  connectParty,
+  openUrl: (url) => window.open(url, '_blank'),
+  ...overrides,
+});
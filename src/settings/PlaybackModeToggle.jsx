@@ -0,0 +1,18 @@
+import { useDispatch, useSelector } from '../store/hooks';
+import { selectAudioOnly, toggleAudioOnly } from './slice';
+
+const PlaybackModeToggle = () => {
+  const dispatch = useDispatch();
+  const audioOnly = useSelector(selectAudioOnly);
+
+  return (
+    <button
+      onClick={() => dispatch(toggleAudioOnly())}
+      className={`generate-btn secondary ${audioOnly ? 'active' : ''}`}
+    >
+      <span>{audioOnly ? '🎵 Audio Mode' : '📺 Video Mode'}</span>
+    </button>
+  );
+};
+
+export default PlaybackModeToggle;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp, RotateCcw } from 'lucide-react';
+import { useDispatch, useSelector } from '../store/hooks';
+import { selectModelChoices } from '../recommendations/slice';
+import { VIDEO_TYPES } from '../video/videoTypes';
+import { DECADES, SONG_COUNT } from './settings';
+import { resetSettings, selectSettings, updateSettings } from './slice';
+import '../library/PlaylistLibrary.css';
+import './Settings.css';
+
+const popularityLabel = (popularity) => {
+  if (popularity <= 20) return 'Popular hits';
+  if (popularity <= 40) return 'Mostly well known';
+  if (popularity < 60) return 'A mix';
+  if (popularity < 80) return 'Mostly hidden gems';
+  return 'Deep cuts';
+};
+
+// How playlists are asked for and which videos play; saved in this browser
+const SettingsPanel = () => {
+  const dispatch = useDispatch();
+  const settings = useSelector(selectSettings);
+  const choices = useSelector(selectModelChoices);
+  // Until the server has answered, the saved choice is the only one shown
+  const models = choices?.models ?? (settings.model ? [settings.model] : []);
+  const [open, setOpen] = useState(false);
+  const change = (changes) => dispatch(updateSettings(changes));
+
+  return (
+    <section className="library-section">
+      <div className="library-header">
+        <button className="library-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+          <SlidersHorizontal size={18} />
+          <span>Settings</span>
+          {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+        </button>
+        {open && (
+          <button className="library-icon-btn" onClick={() => dispatch(resetSettings())} title="Reset to defaults" aria-label="Reset settings to defaults">
+            <RotateCcw size={16} />
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="settings-grid">
+          <label className="settings-field">
+            {/* OpenAI-compatible providers ignore this and use their own OPENAI_MODEL */}
+            <span>Gemini model</span>
+            <select className="glass-input small" value={settings.model} onChange={(e) => change({ model: e.target.value })}>
+              <option value="">{choices ? `Server default (${choices.defaultModel})` : 'Server default'}</option>
+              {models.map((model) => <option key={model} value={model}>{model}</option>)}
+            </select>
+          </label>
+
+          <label className="settings-field">
+            <span>Songs per list: {settings.songCount}</span>
+            <input
+              type="range"
+              min={SONG_COUNT.min}
+              max={SONG_COUNT.max}
+              value={settings.songCount}
+              onChange={(e) => change({ songCount: Number(e.target.value) })}
+            />
+          </label>
+
+          <label className="settings-field">
+            <span>Popular or obscure: {popularityLabel(settings.popularity)}</span>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              step={10}
+              value={settings.popularity}
+              aria-valuetext={popularityLabel(settings.popularity)}
+              onChange={(e) => change({ popularity: Number(e.target.value) })}
+            />
+          </label>
+
+          <fieldset className="settings-field settings-era">
+            <legend>Era</legend>
+            <select
+              className="glass-input small"
+              aria-label="From decade"
+              value={settings.eraFrom}
+              onChange={(e) => change({ eraFrom: Number(e.target.value) })}
+            >
+              {DECADES.filter((decade) => decade <= settings.eraTo).map((decade) => (
+                <option key={decade} value={decade}>{decade}s</option>
+              ))}
+            </select>
+            <span>to</span>
+            <select
+              className="glass-input small"
+              aria-label="To decade"
+              value={settings.eraTo}
+              onChange={(e) => change({ eraTo: Number(e.target.value) })}
+            >
+              {DECADES.filter((decade) => decade >= settings.eraFrom).map((decade) => (
+                <option key={decade} value={decade}>{decade}s</option>
+              ))}
+            </select>
+          </fieldset>
+
+          <label className="settings-field settings-check">
+            <input
+              type="checkbox"
+              checked={settings.avoidExplicit}
+              onChange={(e) => change({ avoidExplicit: e.target.checked })}
+            />
+            <span>Avoid explicit lyrics</span>
+          </label>
+
+          <label className="settings-field">
+            <span>Preferred video</span>
+            <select className="glass-input small" value={settings.videoType} onChange={(e) => change({ videoType: e.target.value })}>
+              {Object.entries(VIDEO_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SettingsPanel;
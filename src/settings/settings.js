@@ -0,0 +1,64 @@
+import { DEFAULT_VIDEO_TYPE, VIDEO_TYPES } from '../video/videoTypes.js';
+
+const STORAGE_KEY = 'sarigama.settings';
+
+export const SONG_COUNT = { min: 5, max: 25 };
+export const DECADES = [1940, 1950, 1960, 1970, 1980, 1990, 2000, 2010, 2020];
+
+// `model: ''` leaves the choice to the API server, which also says which
+// models it takes (see loadModels). `popularity` runs from
+// 0 (only well-known songs) to 100 (only deep cuts); 50 is the old mix.
+// An era spanning every decade puts no limit on release dates.
+export const DEFAULT_SETTINGS = {
+  audioOnly: false,
+  model: '',
+  songCount: 10,
+  popularity: 50,
+  eraFrom: DECADES[0],
+  eraTo: DECADES[DECADES.length - 1],
+  avoidExplicit: false,
+  videoType: DEFAULT_VIDEO_TYPE,
+};
+
+const clamp = (value, min, max, fallback) =>
+  (Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback);
+
+// Whatever was stored (or sent by an older version), made valid
+export const sanitizeSettings = (raw) => {
+  const stored = raw && typeof raw === 'object' ? raw : {};
+  const settings = {
+    audioOnly: typeof stored.audioOnly === 'boolean' ? stored.audioOnly : DEFAULT_SETTINGS.audioOnly,
+    model: typeof stored.model === 'string' ? stored.model.trim().slice(0, 100) : DEFAULT_SETTINGS.model,
+    songCount: clamp(stored.songCount, SONG_COUNT.min, SONG_COUNT.max, DEFAULT_SETTINGS.songCount),
+    popularity: clamp(stored.popularity, 0, 100, DEFAULT_SETTINGS.popularity),
+    eraFrom: DECADES.includes(stored.eraFrom) ? stored.eraFrom : DEFAULT_SETTINGS.eraFrom,
+    eraTo: DECADES.includes(stored.eraTo) ? stored.eraTo : DEFAULT_SETTINGS.eraTo,
+    avoidExplicit: typeof stored.avoidExplicit === 'boolean' ? stored.avoidExplicit : DEFAULT_SETTINGS.avoidExplicit,
+    videoType: Object.hasOwn(VIDEO_TYPES, stored.videoType) ? stored.videoType : DEFAULT_SETTINGS.videoType,
+  };
+  if (settings.eraFrom > settings.eraTo) [settings.eraFrom, settings.eraTo] = [settings.eraTo, settings.eraFrom];
+  return settings;
+};
+
+export const readSettings = () => {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const writeSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save settings', err);
+  }
+};
+
+// The parts of the settings that shape the prompt (see buildPrompt)
+export const promptPreferences = ({ popularity, eraFrom, eraTo, avoidExplicit }) => ({
+  popularity,
+  era: eraFrom === DECADES[0] && eraTo === DECADES[DECADES.length - 1] ? null : { from: eraFrom, to: eraTo + 9 },
+  avoidExplicit,
+});
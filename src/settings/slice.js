@@ -0,0 +1,34 @@
+import { DEFAULT_SETTINGS, promptPreferences, sanitizeSettings, writeSettings } from './settings';
+
+// User preferences that outlive a single request. The store starts from the
+// ones saved in localStorage (see createAppStore), and every change is saved back.
+export const initialState = DEFAULT_SETTINGS;
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'settings/updated':
+      return sanitizeSettings({ ...state, ...action.changes });
+    default:
+      return state;
+  }
+};
+
+export const selectSettings = (state) => state.settings;
+export const selectAudioOnly = (state) => state.settings.audioOnly;
+export const selectModel = (state) => state.settings.model;
+export const selectSongCount = (state) => state.settings.songCount;
+export const selectVideoType = (state) => state.settings.videoType;
+// Builds a new object on every call; only for thunks, not useSelector
+export const selectPromptPreferences = (state) => promptPreferences(state.settings);
+
+export const updateSettings = (changes) => (dispatch, getState) => {
+  dispatch({ type: 'settings/updated', changes });
+  writeSettings(selectSettings(getState()));
+};
+
+export const toggleAudioOnly = () => (dispatch, getState) =>
+  dispatch(updateSettings({ audioOnly: !selectAudioOnly(getState()) }));
+
+// Back to the defaults, except the audio/video mode which has its own toggle
+export const resetSettings = () => (dispatch, getState) =>
+  dispatch(updateSettings({ ...DEFAULT_SETTINGS, audioOnly: selectAudioOnly(getState()) }));
@@ -0,0 +1,38 @@
+import { useRef } from 'react';
+import { Upload } from 'lucide-react';
+import { parsePlaylistFile } from './formats';
+import './Sharing.css';
+
+const ImportButton = ({ onImport, onError }) => {
+  const inputRef = useRef(null);
+
+  const importFile = async (file) => {
+    try {
+      onImport(parsePlaylistFile(await file.text(), file.name));
+    } catch (err) {
+      onError(`Could not import "${file.name}": ${err.message}`);
+    }
+  };
+
+  return (
+    <>
+      <button className="library-icon-btn import-btn" onClick={() => inputRef.current.click()} title="Import playlist (JSON, M3U or CSV)">
+        <Upload size={16} />
+        <span>Import</span>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,.m3u,.m3u8,.csv,application/json,text/csv,audio/x-mpegurl"
+        hidden
+        onChange={(e) => {
+          const [file] = e.target.files;
+          if (file) importFile(file);
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+};
+
+export default ImportButton;
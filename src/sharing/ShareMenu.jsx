@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { Share2, Download, Check } from 'lucide-react';
+import { buildShareUrl } from './shareLink';
+import { EXPORT_FORMATS, downloadFile, serializePlaylist } from './formats';
+import { getCachedVideoId } from '../video/resolver';
+import './Sharing.css';
+
+const fileSafe = (text) => text.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').toLowerCase() || 'playlist';
+
+const ShareMenu = ({ mood, language, songs, onError }) => {
+  const [copied, setCopied] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const share = async () => {
+    try {
+      const url = await buildShareUrl({ mood, language, songs });
+      if (navigator.share) {
+        await navigator.share({ title: `SariGama · ${mood}`, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') onError(`Could not share the playlist: ${err.message}`);
+    }
+  };
+
+  const exportAs = async (format) => {
+    setExportOpen(false);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const videoIds = format === 'm3u' ? await Promise.all(songs.map(getCachedVideoId)) : [];
+    const content = serializePlaylist(format, { mood, language, songs }, videoIds);
+    downloadFile(content, `sarigama-${fileSafe(`${mood}-${language}`)}.${extension}`, mimeType);
+  };
+
+  return (
+    <>
+      <button
+        onClick={share}
+        className="generate-btn secondary"
+      >
+        {copied ? <Check size={16} /> : <Share2 size={16} />}
+        {copied ? 'Link Copied' : 'Share'}
+      </button>
+
+      <div className="export-menu">
+        <button
+          onClick={() => setExportOpen(!exportOpen)}
+          aria-expanded={exportOpen}
+          className="generate-btn secondary"
+        >
+          <Download size={16} />
+          Export
+        </button>
+        {exportOpen && (
+          <div className="export-options">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button key={format} onClick={() => exportAs(format)}>
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ShareMenu;
@@ -0,0 +1,164 @@
+import { SONG_FIELDS, normalizeSong, uniqueSongs } from '../recommendations/parse';
+
+// Export and import of playlists as JSON, M3U and CSV files.
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  m3u: { label: 'M3U', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+};
+
+const youtubeUrl = (song, videoId) => (videoId
+  ? `https://www.youtube.com/watch?v=${videoId}`
+  : `https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`);
+
+// A leading ' stops spreadsheets from running cells such as "=HYPERLINK(...)"
+// as formulas; parseCsv takes it off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (text) => {
+  const value = FORMULA_START.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+// `videoIds` maps each song (by position) to a known YouTube id, if any
+export const serializePlaylist = (format, { mood, language, songs }, videoIds = []) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ app: 'SariGama', version: 1, mood, language, songs }, null, 2);
+    case 'm3u':
+      return [
+        '#EXTM3U',
+        `#PLAYLIST:${mood} · ${language}`,
+        ...songs.flatMap((song, i) => [`#EXTINF:-1,${song.artist} - ${song.title}`, youtubeUrl(song, videoIds[i])]),
+        '',
+      ].join('\n');
+    case 'csv':
+      return [
+        SONG_FIELDS.join(','),
+        ...songs.map((song) => SONG_FIELDS.map((field) => csvCell(song[field] || '')).join(',')),
+        '',
+      ].join('\r\n');
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+// RFC 4180 style: quoted fields may contain commas, quotes ("") and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim()));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new Error('The CSV file is empty.');
+  // Headers match case-insensitively: "Title" and "LYRICSSNIPPET" both count
+  const columns = header.map((name) => {
+    const lower = name.trim().toLowerCase();
+    return SONG_FIELDS.find((field) => field.toLowerCase() === lower) ?? lower;
+  });
+  if (!columns.includes('title') || !columns.includes('artist')) {
+    throw new Error('The CSV file needs "title" and "artist" columns.');
+  }
+  const unescape = (value) => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+  return {
+    songs: rows.map((row) => Object.fromEntries(columns.map((name, i) => [name, unescape(row[i] ?? '')]))),
+  };
+};
+
+const parseM3u = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  if (lines[0] !== '#EXTM3U') throw new Error('Not an M3U playlist (missing #EXTM3U header).');
+  const songs = lines
+    .filter((line) => line.startsWith('#EXTINF:'))
+    .map((line) => {
+      const label = line.slice(line.indexOf(',') + 1);
+      const separator = label.indexOf(' - ');
+      return separator === -1
+        ? { title: label, artist: '' }
+        : { artist: label.slice(0, separator), title: label.slice(separator + 3) };
+    });
+  return { songs };
+};
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The JSON file could not be parsed.');
+  }
+  if (Array.isArray(data)) return { songs: data };
+  if (data && Array.isArray(data.songs)) return { mood: data.mood, language: data.language, songs: data.songs };
+  throw new Error('The JSON file has no song list.');
+};
+
+const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (['json', 'm3u', 'm3u8', 'csv'].includes(extension)) return extension === 'm3u8' ? 'm3u' : extension;
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('#EXTM3U')) return 'm3u';
+  return 'csv';
+};
+
+// Parses and validates an imported file. Songs missing a title or artist, and
+// repeats of a song, are dropped; if none are left the import fails with a
+// readable message.
+export const parsePlaylistFile = (text, fileName) => {
+  const parsers = { json: parseJson, m3u: parseM3u, csv: parseCsv };
+  const parsed = parsers[detectFormat(text, fileName)](text.replace(/^\uFEFF/, ''));
+  const songs = uniqueSongs(parsed.songs.map(normalizeSong).filter(Boolean));
+
+  if (songs.length === 0) throw new Error('No valid songs (with a title and artist) were found in the file.');
+  return {
+    mood: typeof parsed.mood === 'string' ? parsed.mood : undefined,
+    language: typeof parsed.language === 'string' ? parsed.language : undefined,
+    songs,
+    skipped: parsed.songs.length - songs.length,
+  };
+};
+
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
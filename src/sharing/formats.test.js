@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { parsePlaylistFile, serializePlaylist } from './formats';
+
+const song = (n) => ({
+  title: `Song ${n}`,
+  artist: `Artist ${n}`,
+  reason: `Reason ${n}`,
+  history: `History ${n}`,
+  lyricsSnippet: `Lyrics ${n}`,
+});
+const playlist = { mood: 'Calm', language: 'English', songs: [song(1), song(2)] };
+
+describe('CSV playlists', () => {
+  it('round-trips an exported playlist, including quotes, commas and newlines', () => {
+    const songs = [{ ...song(1), title: 'Hello, "World"', lyricsSnippet: 'Line one\nLine two' }, song(2)];
+    const text = serializePlaylist('csv', { ...playlist, songs });
+    expect(parsePlaylistFile(text, 'list.csv').songs).toEqual(songs);
+  });
+
+  it('reads headers in any case', () => {
+    const text = 'Title,ARTIST,LyricsSnippet\r\nSong 1,Artist 1,Lyrics 1\r\nSong 2,Artist 2,\r\n';
+    const { songs, skipped } = parsePlaylistFile(text, 'list.csv');
+    expect(songs.map(({ title, artist, lyricsSnippet }) => [title, artist, lyricsSnippet]))
+      .toEqual([['Song 1', 'Artist 1', 'Lyrics 1'], ['Song 2', 'Artist 2', '']]);
+    expect(skipped).toBe(0);
+  });
+
+  it('drops repeats of a song', () => {
+    const text = 'title,artist\r\nSong 1,Artist 1\r\nSong 2,Artist 2\r\nsong 1, ARTIST 1\r\n';
+    const { songs, skipped } = parsePlaylistFile(text, 'list.csv');
+    expect(songs.map((item) => item.title)).toEqual(['Song 1', 'Song 2']);
+    expect(skipped).toBe(1);
+  });
+
+  it('refuses a file without title and artist columns', () => {
+    expect(() => parsePlaylistFile('name,singer\r\nSong 1,Artist 1\r\n', 'list.csv'))
+      .toThrow('The CSV file needs "title" and "artist" columns.');
+  });
+
+  it('keeps spreadsheets from treating cells as formulas', () => {
+    const risky = { ...song(1), title: '=HYPERLINK("http://example.com")', artist: '@Artist', reason: '-1', history: '+1' };
+    const text = serializePlaylist('csv', { ...playlist, songs: [risky] });
+    const [, row] = text.split('\r\n');
+    expect(row).toBe(`"'=HYPERLINK(""http://example.com"")",'@Artist,'-1,'+1,Lyrics 1`);
+    expect(parsePlaylistFile(text, 'list.csv').songs).toEqual([risky]);
+  });
+});
@@ -0,0 +1,61 @@
+import { normalizeSong, uniqueSongs } from '../recommendations/parse';
+
+// Share links carry the playlist in the URL fragment, so nothing touches a server:
+//   #share=<format><base64url payload>
+// 'z' payloads are deflate-compressed, 'j' payloads are plain (for browsers
+// without CompressionStream). The JSON uses positional arrays to stay short.
+
+const HASH_PREFIX = '#share=';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () => typeof CompressionStream !== 'undefined';
+
+export const encodeShare = async ({ mood, language, songs }) => {
+  const payload = [1, mood, language, songs.map((s) => [s.title, s.artist, s.reason, s.history, s.lyricsSnippet])];
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (canCompress()) return `z${toBase64Url(await pipeThrough(bytes, new CompressionStream('deflate-raw')))}`;
+  return `j${toBase64Url(bytes)}`;
+};
+
+export const decodeShare = async (encoded) => {
+  const format = encoded[0];
+  let bytes = fromBase64Url(encoded.slice(1));
+  if (format === 'z') bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+  else if (format !== 'j') throw new Error('Unknown share link format');
+
+  const [version, mood, language, rows] = JSON.parse(new TextDecoder().decode(bytes));
+  if (version !== 1 || !Array.isArray(rows)) throw new Error('Unsupported share link');
+
+  const songs = uniqueSongs(rows
+    .map(([title, artist, reason, history, lyricsSnippet]) => normalizeSong({ title, artist, reason, history, lyricsSnippet }))
+    .filter(Boolean));
+  if (songs.length === 0) throw new Error('The shared playlist is empty');
+  return { mood: String(mood || ''), language: String(language || ''), songs };
+};
+
+export const buildShareUrl = async (playlist) =>
+  `${window.location.origin}${window.location.pathname}${HASH_PREFIX}${await encodeShare(playlist)}`;
+
+// Returns the shared playlist in the current URL, or null when there is none
+export const readShareFromLocation = async () => {
+  if (!window.location.hash.startsWith(HASH_PREFIX)) return null;
+  return decodeShare(window.location.hash.slice(HASH_PREFIX.length));
+};
+
+export const clearShareFromLocation = () =>
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
@@ -0,0 +1,128 @@
+import { Play, ListPlus, ListStart, ThumbsUp, ThumbsDown, Wand2 } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { useDispatch, useSelector } from '../store/hooks';
+import { labelsFor } from '../catalog/catalog';
+import { rateSong, selectRating } from '../history/slice';
+import { updateQueue } from '../player/slice';
+import { getRecommendations, selectLanguages, selectLoading } from '../recommendations/slice';
+import { selectOnline } from '../pwa/slice';
+import { useParty } from '../party/partyContext';
+import { selectPartyRole } from '../party/slice';
+import PartyVotes from '../party/PartyVotes';
+import { selectSongs } from './slice';
+
+const SongCard = ({ song, index }) => {
+  const dispatch = useDispatch();
+  const songs = useSelector(selectSongs);
+  const languages = useSelector(selectLanguages);
+  const loading = useSelector(selectLoading);
+  const online = useSelector(selectOnline);
+  const rating = useSelector((state) => selectRating(state, song));
+  const partyRole = useSelector(selectPartyRole);
+  const party = useParty();
+  const labels = labelsFor(song, languages);
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0 }}
+      transition={{ delay: loading ? 0 : index * 0.1 }}
+      className="song-card"
+      role="listitem"
+    >
+      <div className="song-header">
+        <div className="song-info">
+          <h3>{song.title}</h3>
+          <p className="artist">{song.artist}</p>
+        </div>
+        <div className="song-actions">
+          <button
+            className="queue-btn"
+            onClick={() => dispatch(updateQueue({ type: 'playNext', song }))}
+            title="Play Next"
+            aria-label={`Play ${song.title} next`}
+          >
+            <ListStart size={18} />
+          </button>
+          <button
+            className="queue-btn"
+            onClick={() => dispatch(updateQueue({ type: 'enqueue', song }))}
+            title="Add to Queue"
+            aria-label={`Add ${song.title} to queue`}
+          >
+            <ListPlus size={18} />
+          </button>
+          <button
+            className="play-btn"
+            onClick={() => party.playFrom(songs, index)}
+            disabled={!online}
+            title={online ? 'Play Song' : 'Playback needs a connection'}
+            aria-label={`Play ${song.title}`}
+          >
+            <Play size={20} fill="currentColor" />
+          </button>
+        </div>
+      </div>
+
+      {song.arcPosition && (
+        <span className="arc-badge">
+          Step {song.arcPosition}{song.arcMood ? ` · ${song.arcMood}` : ''}
+        </span>
+      )}
+      <p className="reason">{song.reason}</p>
+
+      <div className="feedback-actions">
+        <button
+          className={`queue-btn ${rating > 0 ? 'active' : ''}`}
+          onClick={() => dispatch(rateSong(song, rating > 0 ? 0 : 1))}
+          title="I like this"
+          aria-label={`I like ${song.title}`}
+          aria-pressed={rating > 0}
+        >
+          <ThumbsUp size={16} />
+        </button>
+        <button
+          className={`queue-btn ${rating < 0 ? 'active' : ''}`}
+          onClick={() => dispatch(rateSong(song, rating < 0 ? 0 : -1))}
+          title="Not for me"
+          aria-label={`${song.title} is not for me`}
+          aria-pressed={rating < 0}
+        >
+          <ThumbsDown size={16} />
+        </button>
+        <button
+          className="queue-btn more-like-this"
+          onClick={() => {
+            dispatch(rateSong(song, 1));
+            dispatch(getRecommendations({ seed: song }));
+          }}
+          disabled={loading}
+          title="More like this"
+          aria-label={`More like ${song.title}`}
+        >
+          <Wand2 size={16} />
+          <span>More like this</span>
+        </button>
+        {partyRole && <PartyVotes song={song} />}
+      </div>
+      {song.history && (
+        <p className="history-text">
+          <span className="history-label">{labels.history}</span> {song.history}
+        </p>
+      )}
+
+      {song.lyricsSnippet && (
+        <div className="lyrics-container">
+          <p>
+            <span className="lyrics-label">🎵 {labels.lyrics}</span>
+            "{song.lyricsSnippet}"
+          </p>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default SongCard;
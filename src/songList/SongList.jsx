@@ -0,0 +1,69 @@
+import { Play, BookmarkPlus, Compass } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useDispatch, useSelector } from '../store/hooks';
+import { songKey } from '../recommendations/parse';
+import { selectActiveMood, selectLanguage, selectLoading, setError } from '../recommendations/slice';
+import { savePlaylist } from '../library/slice';
+import { selectOnline } from '../pwa/slice';
+import { useParty } from '../party/partyContext';
+import PlaybackModeToggle from '../settings/PlaybackModeToggle';
+import ShareMenu from '../sharing/ShareMenu';
+import SongCard from './SongCard';
+import { selectSongs, selectWhy } from './slice';
+
+const SongList = () => {
+  const dispatch = useDispatch();
+  const songs = useSelector(selectSongs);
+  const why = useSelector(selectWhy);
+  const mood = useSelector(selectActiveMood);
+  const language = useSelector(selectLanguage);
+  const online = useSelector(selectOnline);
+  const loading = useSelector(selectLoading);
+  const party = useParty();
+  const hasSongs = Boolean(songs && songs.length > 0);
+
+  return (
+    <section className="results-section" aria-labelledby="songs-heading" aria-busy={loading}>
+      <h2 id="songs-heading" className="sr-only">Songs</h2>
+      {hasSongs && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="action-bar" role="toolbar" aria-label="Song list actions">
+          <button
+            onClick={() => party.playFrom(songs)}
+            className="generate-btn play-all"
+            disabled={!online}
+            title={online ? 'Play all songs' : 'Playback needs a connection'}
+          >
+            <Play size={16} fill="white" />
+            Play All
+          </button>
+
+          <PlaybackModeToggle />
+
+          <button onClick={() => dispatch(savePlaylist({ mood, language, songs }))} className="generate-btn secondary">
+            <BookmarkPlus size={16} />
+            Save
+          </button>
+
+          <ShareMenu mood={mood} language={language} songs={songs} onError={(message) => dispatch(setError(message))} />
+        </motion.div>
+      )}
+
+      {why && hasSongs && (
+        <div className="context-why">
+          <Compass size={16} />
+          <span><strong>Why these songs:</strong> {why}</span>
+        </div>
+      )}
+
+      <div className="song-list" role="list">
+        <AnimatePresence>
+          {songs && songs.map((song, index) => (
+            <SongCard key={songKey(song)} song={song} index={index} />
+          ))}
+        </AnimatePresence>
+      </div>
+    </section>
+  );
+};
+
+export default SongList;
@@ -0,0 +1,53 @@
+import { readShareFromLocation, clearShareFromLocation } from '../sharing/shareLink';
+import { listRecentLists } from '../library/recent';
+import { playlistOpened, setError } from '../recommendations/slice';
+import { closePlayer } from '../player/slice';
+
+// The list of songs on screen, and the "why these songs" line fixed when it was requested
+export const initialState = { songs: null, why: '' };
+
+export const reducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'songList/show':
+      return { songs: action.songs, why: action.why };
+    case 'songList/update':
+      return { ...state, songs: action.songs };
+    case 'songList/restore':
+      return state.songs ? state : { songs: action.songs, why: action.why };
+    default:
+      return state;
+  }
+};
+
+export const showSongs = (songs, why = '') => ({ type: 'songList/show', songs, why });
+export const updateSongs = (songs) => ({ type: 'songList/update', songs });
+// Only fills an empty screen, so it never replaces a list the user already has
+export const restoreSongs = (songs, why = '') => ({ type: 'songList/restore', songs, why });
+
+export const selectSongs = (state) => state.songList.songs;
+export const selectWhy = (state) => state.songList.why;
+
+// Saved, imported, shared and recent lists all land in the regular song list.
+// Imports from M3U or CSV carry no mood or language, so those stay as they are.
+export const openList = (list, { why = '' } = {}) => (dispatch) => {
+  dispatch(closePlayer());
+  dispatch(playlistOpened(list));
+  dispatch(showSongs(list.songs, why));
+};
+
+// Open straight into a playlist shared through a #share= link, or else
+// bring back the last generated list (which also works offline)
+export const openStartupList = () => (dispatch) => readShareFromLocation()
+  .then((shared) => {
+    if (!shared) {
+      return listRecentLists().then(([latest]) => {
+        if (latest) dispatch(restoreSongs(latest.songs, latest.why));
+      });
+    }
+    dispatch(openList(shared));
+    clearShareFromLocation();
+  })
+  .catch((err) => {
+    console.error('Invalid share link', err);
+    dispatch(setError('This share link is broken or incomplete.'));
+  });
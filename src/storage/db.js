@@ -0,0 +1,37 @@
+// Thin promise wrapper around the app's IndexedDB database.
+// Every object store is keyed by `id`; add new stores here and bump DB_VERSION.
+const DB_NAME = 'sarigama';
+const DB_VERSION = 5;
+const STORES = ['playlists', 'videos', 'history', 'feedback', 'lyrics', 'recent'];
+
+let dbPromise;
+
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      STORES.filter((name) => !db.objectStoreNames.contains(name))
+        .forEach((name) => db.createObjectStore(name, { keyPath: 'id' }));
+    };
+    dbPromise = toPromise(request);
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return toPromise(operation(store));
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', (store) => store.getAll());
+export const get = (storeName, id) => withStore(storeName, 'readonly', (store) => store.get(id));
+export const put = (storeName, value) => withStore(storeName, 'readwrite', (store) => store.put(value));
+export const remove = (storeName, id) => withStore(storeName, 'readwrite', (store) => store.delete(id));
+export const clear = (storeName) => withStore(storeName, 'readwrite', (store) => store.clear());
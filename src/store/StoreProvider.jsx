@@ -0,0 +1,7 @@
+import { StoreContext } from './hooks';
+
+const StoreProvider = ({ store, children }) => (
+  <StoreContext.Provider value={store}>{children}</StoreContext.Provider>
+);
+
+export default StoreProvider;
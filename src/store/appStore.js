@@ -0,0 +1,19 @@
+import { createStore } from './createStore';
+import { readSettings } from '../settings/settings';
+import * as recommendations from '../recommendations/slice';
+import * as songList from '../songList/slice';
+import * as player from '../player/slice';
+import * as settings from '../settings/slice';
+import * as listening from '../history/slice';
+import * as library from '../library/slice';
+import * as listeningContext from '../context/slice';
+import * as connection from '../pwa/slice';
+import * as announcer from '../a11y/slice';
+import * as party from '../party/slice';
+
+// The app's one store. Thunks reach the injected services through `extra`.
+// Saved settings are read here rather than at import, so each store sees the current ones.
+export const createAppStore = ({ services, preloadedState } = {}) => createStore(
+  { recommendations, songList, player, settings, listening, library, listeningContext, connection, announcer, party },
+  { extra: { services, request: null }, preloadedState: { settings: readSettings(), ...preloadedState } },
+);
@@ -0,0 +1,116 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAppStore } from './appStore';
+import { createFakeProvider, createFakeServices, createFakeYouTube, makeSong, resetDatabase } from '../test/fakes';
+import { connectionChanged } from '../pwa/slice';
+import {
+  getRecommendations, runQueuedRequest, selectLanguages, selectProviderLabel, selectQueuedRequest, toggleLanguage,
+} from '../recommendations/slice';
+import { buildPrompt } from '../recommendations/prompt';
+import { openList, selectSongs } from '../songList/slice';
+import {
+  playSong, selectCurrentSong, selectCurrentSongIndex, selectPlaying, selectQueue, updateQueue,
+} from '../player/slice';
+import { selectSettings, updateSettings } from '../settings/slice';
+
+const SONGS = [makeSong(1), makeSong(2)];
+
+const setup = () => {
+  const provider = createFakeProvider(SONGS);
+  const services = createFakeServices({ provider, youtube: createFakeYouTube() });
+  return { provider, services, store: createAppStore({ services }) };
+};
+
+describe('app store', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('runs thunks with the services and notifies subscribers', async () => {
+    const { store, provider } = setup();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    await store.dispatch(getRecommendations());
+
+    expect(provider.calls[0].mood).toBe('Nostalgic');
+    expect(selectSongs(store.getState()).map((song) => song.title).sort()).toEqual(['Song 1', 'Song 2']);
+    expect(selectProviderLabel(store.getState())).toBe('Fake AI');
+    expect(listener).toHaveBeenCalled();
+  });
+
+  it('keeps a request made offline until the connection is back', async () => {
+    const { store, provider } = setup();
+    store.dispatch(connectionChanged(false));
+
+    await store.dispatch(getRecommendations());
+    expect(provider.calls).toHaveLength(0);
+    expect(selectQueuedRequest(store.getState())).not.toBeNull();
+
+    store.dispatch(connectionChanged(true));
+    await store.dispatch(runQueuedRequest());
+    expect(provider.calls).not.toHaveLength(0);
+    expect(selectQueuedRequest(store.getState())).toBeNull();
+  });
+
+  it('keeps at least one language selected', () => {
+    const { store } = setup();
+    store.dispatch(toggleLanguage('Malayalam'));
+    expect(selectLanguages(store.getState())).toEqual(['Malayalam']);
+
+    store.dispatch(toggleLanguage('Tamil'));
+    store.dispatch(toggleLanguage('Malayalam'));
+    expect(selectLanguages(store.getState())).toEqual(['Tamil']);
+  });
+
+  it('tracks the current song and closes the player when another list opens', () => {
+    const { store } = setup();
+    store.dispatch(updateQueue({ type: 'replace', songs: SONGS, start: 1 }));
+    store.dispatch({ type: 'player/started' });
+    expect(selectCurrentSongIndex(store.getState())).toBe(1);
+    expect(selectCurrentSong(store.getState()).title).toBe('Song 2');
+
+    store.dispatch(openList({ mood: 'Calm', language: 'Hindi', songs: [makeSong(3)] }));
+
+    const state = store.getState();
+    expect(selectPlaying(state)).toBe(false);
+    expect(selectCurrentSong(state)).toBeNull();
+    expect(state.recommendations.mood).toBe('Calm');
+    expect(selectLanguages(state)).toEqual(['Hindi']);
+    expect(selectSongs(state)).toEqual([makeSong(3)]);
+  });
+
+  it('leaves an empty queue alone on next and previous', () => {
+    const { store } = setup();
+    const queue = selectQueue(store.getState());
+
+    store.dispatch(updateQueue({ type: 'next' }));
+    store.dispatch(updateQueue({ type: 'previous' }));
+
+    expect(selectQueue(store.getState())).toBe(queue);
+  });
+
+  it('builds the playlist request and the video search from the saved settings', async () => {
+    const { store, provider, services } = setup();
+    store.dispatch(updateSettings({
+      model: 'gemini-2.5-flash', songCount: 15, popularity: 90, eraFrom: 1970, eraTo: 1990, avoidExplicit: true, videoType: 'live',
+    }));
+
+    await store.dispatch(getRecommendations());
+    const [request] = provider.calls;
+    expect(request).toMatchObject({ count: 15, model: 'gemini-2.5-flash' });
+    // The prompt the API server writes from those fields
+    const prompt = buildPrompt(request);
+    expect(prompt).toContain('playlist of 15 songs');
+    expect(prompt).toContain('obscure deep cuts');
+    expect(prompt).not.toContain('hidden gems or less obvious choices');
+    expect(prompt).toContain('released between 1970 and 1999');
+    expect(prompt).toContain('explicit');
+
+    await store.dispatch(playSong(SONGS[0]));
+    expect(services.resolveVideo).toHaveBeenCalledWith(SONGS[0], { videoType: 'live' });
+
+    // A new store (the next visit) starts from what was saved
+    expect(selectSettings(setup().store.getState())).toMatchObject({ songCount: 15, eraFrom: 1970, videoType: 'live' });
+  });
+});
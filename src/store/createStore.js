@@ -0,0 +1,34 @@
+// Minimal Redux-style store. `slices` maps a state key to a module exporting
+// `initialState` and `reducer(state, action)`; every action goes through every
+// reducer. Dispatching a function runs it as a thunk with
+// (dispatch, getState, extra), which is how async work reaches `extra.services`.
+export const createStore = (slices, { extra = {}, preloadedState = {} } = {}) => {
+  let state = Object.fromEntries(Object.entries(slices)
+    .map(([key, slice]) => [key, preloadedState[key] ?? slice.initialState]));
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const dispatch = (action) => {
+    if (typeof action === 'function') return action(dispatch, getState, extra);
+
+    let changed = false;
+    const next = {};
+    for (const [key, slice] of Object.entries(slices)) {
+      next[key] = slice.reducer(state[key], action);
+      if (next[key] !== state[key]) changed = true;
+    }
+    if (changed) {
+      state = next;
+      listeners.forEach((listener) => listener());
+    }
+    return action;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { getState, dispatch, subscribe };
+};
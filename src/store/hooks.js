@@ -0,0 +1,18 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+
+export const StoreContext = createContext(null);
+
+export const useStore = () => {
+  const store = useContext(StoreContext);
+  if (!store) throw new Error('useStore must be used inside <StoreProvider>');
+  return store;
+};
+
+export const useDispatch = () => useStore().dispatch;
+
+// Re-renders only when the selected value changes. Selectors must return
+// existing state (or primitives), not objects built on every call.
+export const useSelector = (selector) => {
+  const store = useStore();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+};
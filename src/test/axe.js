@@ -0,0 +1,8 @@
+import axe from 'axe-core';
+
+// axe-core results as "rule: selector" strings, so a failing expectation
+// shows what broke. jsdom has no layout, so colour contrast can't be checked.
+export const axeViolations = async (container = document.body) => {
+  const { violations } = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.flatMap((violation) => violation.nodes.map((node) => `${violation.id}: ${node.target.join(' ')}`));
+};
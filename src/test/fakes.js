@@ -0,0 +1,100 @@
+import { vi } from 'vitest';
+import * as db from '../storage/db';
+import { createServices } from '../services';
+import { DEFAULT_GEMINI_MODEL, GEMINI_MODELS } from '../recommendations/models';
+
+// Same values as the real YT.PlayerState
+export const PlayerState = { UNSTARTED: -1, ENDED: 0, PLAYING: 1, PAUSED: 2, BUFFERING: 3, CUED: 5 };
+
+// Stand-in for the YouTube IFrame API. Every player created is kept in
+// `players`, and `emit` / `fail` fire its state-change and error events.
+export const createFakeYouTube = () => {
+  const players = [];
+
+  class Player {
+    constructor(element, options) {
+      this.element = element;
+      this.events = options.events;
+      this.videoId = null;
+      this.loaded = [];
+      this.time = 0;
+      this.state = PlayerState.UNSTARTED;
+      players.push(this);
+      queueMicrotask(() => this.events.onReady({ target: this }));
+    }
+
+    loadVideoById({ videoId, startSeconds = 0 }) {
+      this.videoId = videoId;
+      this.loaded.push(videoId);
+      this.time = startSeconds;
+      this.state = PlayerState.PLAYING;
+    }
+
+    playVideo() { this.state = PlayerState.PLAYING; }
+    pauseVideo() { this.state = PlayerState.PAUSED; }
+    stopVideo() { this.state = PlayerState.ENDED; }
+    seekTo(seconds) { this.time = seconds; }
+    getCurrentTime() { return this.time; }
+    getDuration() { return 240; }
+    setVolume() {}
+    mute() {}
+    unMute() {}
+    destroy() {}
+
+    emit(state) {
+      this.state = state;
+      this.events.onStateChange({ data: state, target: this });
+    }
+
+    fail(code) {
+      this.events.onError({ data: code, target: this });
+    }
+  }
+
+  const YT = { Player, PlayerState };
+  return { YT, players, loadApi: () => Promise.resolve(YT) };
+};
+
+// A recommendation provider answering from canned responses, one per call
+// (the last one repeats). Responses are raw text or arrays of songs.
+export const createFakeProvider = (...responses) => {
+  const calls = [];
+  return {
+    name: 'fake',
+    label: 'Fake AI',
+    calls,
+    isConfigured: () => true,
+    generate: async (request) => {
+      calls.push(request);
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      const text = typeof next === 'string' ? next : JSON.stringify(next);
+      request.onChunk?.(text);
+      return text;
+    },
+  };
+};
+
+export const makeSong = (n, extra = {}) => ({
+  title: `Song ${n}`,
+  artist: `Artist ${n}`,
+  reason: `Reason ${n}`,
+  history: `History ${n}`,
+  lyricsSnippet: `Lyrics ${n}`,
+  ...extra,
+});
+
+// Services for <App />: the fake provider and YouTube, the server's usual
+// model list, videos resolving to `vid-<title>`, an unspent quota and a spy
+// instead of window.open. Override any of them.
+export const createFakeServices = ({ provider, youtube, ...overrides } = {}) => createServices({
+  getProviders: () => [provider],
+  getModels: async () => ({ models: GEMINI_MODELS, defaultModel: DEFAULT_GEMINI_MODEL }),
+  loadYouTubeApi: youtube.loadApi,
+  resolveVideo: vi.fn(async (song) => ({ videoId: `vid-${song.title}`, source: 'search' })),
+  getQuota: async () => ({ used: 0, limit: 10000, exhausted: false }),
+  openUrl: vi.fn(),
+  ...overrides,
+});
+
+export const resetDatabase = () =>
+  Promise.all(['playlists', 'videos', 'history', 'feedback', 'lyrics', 'recent'].map((store) => db.clear(store)));
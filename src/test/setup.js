@@ -0,0 +1,10 @@
+import 'fake-indexeddb/auto';
+import '@testing-library/jest-dom/vitest';
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(() => {
+  cleanup();
+  // Server tests run in plain Node, without a localStorage
+  globalThis.localStorage?.clear();
+});
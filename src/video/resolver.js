@@ -0,0 +1,94 @@
+import * as db from '../storage/db';
+import { songKey } from '../recommendations/parse';
+import { DEFAULT_VIDEO_TYPE } from './videoTypes';
+
+const STORE = 'videos';
+
+const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || '';
+
+// One search per song at a time, however many callers ask for it
+const inFlight = new Map();
+
+const readCache = async (key) => {
+  try {
+    return await db.get(STORE, key);
+  } catch (err) {
+    console.warn('Video cache unavailable', err);
+    return null;
+  }
+};
+
+const writeCache = (key, song, videoId) =>
+  db.put(STORE, { id: key, title: song.title, artist: song.artist, videoId, resolvedAt: Date.now() })
+    .catch((err) => console.warn('Could not cache video', err));
+
+// Official audio keeps the plain song key, so videos cached before there was a choice still count
+const cacheKey = (song, videoType) =>
+  (videoType === DEFAULT_VIDEO_TYPE ? songKey(song) : `${songKey(song)}|${videoType}`);
+
+// Video search goes through the API server so the YouTube key stays there.
+// The server also keeps the daily quota, and refuses a background search
+// once only its reserve is left.
+const search = async (song, videoType, background) => {
+  const params = new URLSearchParams({ title: song.title, artist: song.artist, type: videoType, background });
+  const response = await fetch(`${apiBaseUrl}/api/resolve-video?${params}`);
+  const data = await response.json().catch(() => ({}));
+
+  if (response.ok && data.videoId) return { videoId: data.videoId, source: 'search' };
+  if (response.status === 429 && !data.reason) return { videoId: null, reason: 'rate-limit' };
+  console.warn('Video resolution failed.', data.error || response.statusText);
+  return { videoId: null, reason: data.reason || 'error' };
+};
+
+// Resolves a song to a YouTube video id of the given `videoType` (see
+// VIDEO_TYPES): cache first, then a search if the server's quota allows it.
+// Never throws; a null videoId comes with a reason
+// ('no-key', 'quota', 'rate-limit', 'not-found' or 'error').
+export const resolveVideo = (song, { background = false, videoType = DEFAULT_VIDEO_TYPE } = {}) => {
+  const key = cacheKey(song, videoType);
+  const shared = inFlight.get(key);
+  if (shared) {
+    // A background prefetch gives up at the quota reserve; a play that joined it still gets to search
+    if (background || !shared.background) return shared.pending;
+    return shared.pending.then((result) => (result.reason === 'quota' ? resolveVideo(song, { videoType }) : result));
+  }
+
+  const pending = (async () => {
+    const cached = await readCache(key);
+    if (cached) return { videoId: cached.videoId, source: 'cache' };
+
+    try {
+      const result = await search(song, videoType, background);
+      if (result.videoId) await writeCache(key, song, result.videoId);
+      return result;
+    } catch (err) {
+      console.error('Video resolution error:', err);
+      return { videoId: null, reason: 'error' };
+    }
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, { pending, background });
+  return pending;
+};
+
+// Resolves upcoming songs one after another in the background so that
+// pressing next doesn't wait on a search.
+export const prefetchVideos = async (songs, { resolve = resolveVideo, videoType } = {}) => {
+  for (const song of songs) {
+    const { videoId, reason } = await resolve(song, { background: true, videoType });
+    if (!videoId && ['quota', 'rate-limit', 'no-key'].includes(reason)) return;
+  }
+};
+
+export const youtubeSearchUrl = (song) =>
+  `https://www.youtube.com/results?search_query=${encodeURIComponent(`${song.title} ${song.artist}`)}`;
+
+// `{ used, limit, exhausted }`: today's YouTube quota as the API server has spent it
+export const fetchQuotaUsage = async () => {
+  const response = await fetch(`${apiBaseUrl}/api/quota`);
+  if (!response.ok) throw new Error(`API server returned ${response.status} ${response.statusText}`);
+  return response.json();
+};
+
+// Cached video id for a song, without searching. Used where spending quota isn't worth it.
+export const getCachedVideoId = async (song) => (await readCache(songKey(song)))?.videoId ?? null;
@@ -0,0 +1,32 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { makeSong, resetDatabase } from '../test/fakes';
+import { resolveVideo } from './resolver';
+
+describe('resolveVideo', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ videoId: 'vid-1' }))));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('shares one search between callers', async () => {
+    const song = makeSong(1);
+    const results = await Promise.all([resolveVideo(song), resolveVideo(song)]);
+    expect(results).toEqual([{ videoId: 'vid-1', source: 'search' }, { videoId: 'vid-1', source: 'search' }]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('still searches for a play that overlaps a prefetch held back by the quota reserve', async () => {
+    fetch.mockImplementation(async (url) => (url.includes('background=true')
+      ? new Response(JSON.stringify({ error: 'YouTube quota exceeded.', reason: 'quota' }), { status: 429 })
+      : new Response(JSON.stringify({ videoId: 'vid-1' }))));
+    const song = makeSong(2);
+    const [prefetched, played] = await Promise.all([resolveVideo(song, { background: true }), resolveVideo(song)]);
+    expect(prefetched).toEqual({ videoId: null, reason: 'quota' });
+    expect(played).toEqual({ videoId: 'vid-1', source: 'search' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,11 @@
+// The kind of YouTube video searched for each song, and the words added to the query
+export const VIDEO_TYPES = {
+  audio: { label: 'Official audio', query: 'official audio' },
+  lyrics: { label: 'Lyric video', query: 'lyric video' },
+  live: { label: 'Live performance', query: 'live' },
+};
+
+export const DEFAULT_VIDEO_TYPE = 'audio';
+
+export const videoQuery = (title, artist, type = DEFAULT_VIDEO_TYPE) =>
+  `${title} ${artist} ${(VIDEO_TYPES[type] ?? VIDEO_TYPES[DEFAULT_VIDEO_TYPE]).query}`;
@@ -1,7 +1,44 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createApiHandler, loadConfig } from './server/app.js'
+import { createPartyServer } from './server/party.js'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+// Serves /api from the same handler as `npm run server`, so the dev setup
+// needs no second process and the keys in .env never reach the bundle.
+// Party sockets share the HTTP server; other upgrades (Vite's HMR) pass through.
+const apiServer = (env) => {
+  const attach = (server) => {
+    server.middlewares.use(createApiHandler(loadConfig(env)))
+    const party = createPartyServer()
+    server.httpServer?.on('upgrade', (req, socket, head) => party.handleUpgrade(req, socket, head))
+    server.httpServer?.on('close', party.close)
+  }
+  return { name: 'sarigama-api', configureServer: attach, configurePreviewServer: attach }
+}
+
+// Emits src/pwa/sw.js as /sw.js with the build's files as its precache list.
+// The cache version is a hash of that list, so each deploy replaces the old shell.
+const serviceWorker = () => ({
+  name: 'sarigama-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const built = Object.keys(bundle).filter((file) => !file.endsWith('.map')).map((file) => `/${file}`)
+    const files = [...new Set(['/', '/index.html', ...built, '/manifest.webmanifest', '/icon.svg', '/icon-maskable.svg', '/vite.svg'])]
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync('src/pwa/sw.js', 'utf8')
+      .replace('self.__PRECACHE_MANIFEST ||', `${JSON.stringify(files)} ||`)
+      .replace('self.__PRECACHE_VERSION ||', `${JSON.stringify(version)} ||`)
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
 })
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), apiServer({ ...process.env, ...loadEnv(mode, process.cwd(), '') }), serviceWorker()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+  },
+}))